@@ -0,0 +1,113 @@
+const express = require('express');
+const { isContentType } = require('./content');
+const { parseFacilityDataset, importFacilities } = require('./facilities');
+const { hasBearerToken } = require('./gatewayAuth');
+const { log } = require('./logger');
+
+// --- Admin API ---
+// Manages the content in lib/content. Every route needs the ADMIN_TOKEN as a
+// bearer token. Content routes, per type (tips, emergency_contacts,
+// municipalities, facilities):
+//
+//   GET    /admin/content/:type                       all items, drafts included
+//   POST   /admin/content/:type                       create a draft { fields }
+//   PUT    /admin/content/:type/order                 reorder { ids: [...] }
+//   GET    /admin/content/:type/:id                   one item with its history
+//   PUT    /admin/content/:type/:id                   edit the draft { fields }
+//   DELETE /admin/content/:type/:id
+//   POST   /admin/content/:type/:id/publish
+//   POST   /admin/content/:type/:id/unpublish
+//   POST   /admin/content/:type/:id/rollback          { version }
+//
+// Facility datasets are imported whole (see lib/facilities.js), as text/csv
+// or application/geo+json; `?prune=true` also unpublishes facilities that
+// are not in the file:
+//
+//   POST   /admin/content/facilities/import
+//
+// USSD analytics (lib/analytics.js): drop-off per screen, options chosen and
+// the funnels in `funnels`, for sessions started in the last `days` (default
+// 7) or between `from` and `to` (ISO dates):
+//
+//   GET    /admin/analytics/report?days=7
+
+// Datasets can be far bigger than the app-wide JSON limit
+const DATASET_LIMIT = '5mb';
+
+function createAdminRouter({ content, analytics, funnels = {}, token }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!hasBearerToken(token, req)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    });
+
+    router.param('type', (req, res, next, type) => {
+        if (!isContentType(type)) return res.status(404).json({ error: `Unknown content type "${type}".` });
+        next();
+    });
+
+    // Turns errors with a `status` (see lib/content) into JSON responses
+    const route = handler => async (req, res) => {
+        try {
+            const result = await handler(req, res);
+            if (result === undefined) return res.status(204).end();
+            res.json(result);
+        } catch (error) {
+            if (!error.status) {
+                log.error('Admin API error.', { path: req.path, error });
+                return res.status(500).json({ error: 'Internal error' });
+            }
+            res.status(error.status).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+        }
+    };
+
+    const fieldsOf = req => (req.body && req.body.fields) || req.body;
+
+    router.get('/content/:type', route(req => content.list(req.params.type)));
+    router.post('/content/:type', route(async (req, res) => {
+        const item = await content.create(req.params.type, fieldsOf(req));
+        res.status(201);
+        return item;
+    }));
+    router.post('/content/facilities/import',
+        express.text({ type: ['text/csv', 'text/plain'], limit: DATASET_LIMIT }),
+        express.json({ type: 'application/geo+json', limit: DATASET_LIMIT }),
+        route(async req => {
+            const format = req.is('text/csv') || req.is('text/plain') ? 'csv' : 'geojson';
+            if (req.body === undefined || (typeof req.body === 'object' && Object.keys(req.body).length === 0)) {
+                const error = new Error('Send the dataset as text/csv or application/geo+json.');
+                error.status = 400;
+                throw error;
+            }
+            const facilities = parseFacilityDataset(req.body, format);
+            return importFacilities(content, facilities, { prune: req.query.prune === 'true' });
+        }));
+    router.put('/content/:type/order', route(req => content.reorder(req.params.type, req.body && req.body.ids)));
+    router.get('/content/:type/:id', route(req => content.get(req.params.type, req.params.id)));
+    router.put('/content/:type/:id', route(req => content.update(req.params.type, req.params.id, fieldsOf(req))));
+    router.delete('/content/:type/:id', route(async req => {
+        await content.remove(req.params.type, req.params.id);
+    }));
+    router.post('/content/:type/:id/publish', route(req => content.publish(req.params.type, req.params.id)));
+    router.post('/content/:type/:id/unpublish', route(req => content.unpublish(req.params.type, req.params.id)));
+    router.post('/content/:type/:id/rollback', route(req => content.rollback(req.params.type, req.params.id, req.body && req.body.version)));
+
+    router.get('/analytics/report', route(req => {
+        const day = 24 * 60 * 60 * 1000;
+        const to = req.query.to ? Date.parse(req.query.to) : Date.now();
+        const from = req.query.from ? Date.parse(req.query.from) : to - (Number(req.query.days) || 7) * day;
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            const error = new Error('`from` and `to` must be ISO dates.');
+            error.status = 400;
+            throw error;
+        }
+        return analytics.report({ from, to, funnels });
+    }));
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { createMetrics } = require('./metrics');
+
+// --- Gemini requests ---
+// Every prompt goes through generate(task, contents). The model, temperature
+// and token limit come from configuration: one model, plus settings per task
+// ("triage", "solution"). Answers are cached per normalized prompt, so
+// case and spacing don't matter. Concurrent identical prompts share one
+// request.
+//
+// Gemini often takes longer than a USSD gateway waits. Callers race the
+// answer against a budget with withinBudget(). If the budget runs out, they
+// end the hop at once and send the result by SMS when it arrives
+// (lib/deferredAi.js). A request that hangs fails after timeoutMs.
+//
+// Every call is counted in `metrics` (gemini_requests_total by task and
+// outcome, and gemini_request_duration_seconds for the calls that reach Gemini).
+
+const DEFAULT_MODEL = 'gemini-1.5-flash-latest';
+const DEFAULT_TASKS = {
+    triage: { temperature: 0.2, maxOutputTokens: 60 },
+    solution: { temperature: 0.5, maxOutputTokens: 80 }
+};
+
+function normalizePrompt(contents) {
+    return String(contents).normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Makes caller-typed text safe to quote inside a prompt: no line breaks or
+// control characters, none of the quote/bracket characters that could close
+// the quoted section, and a bounded length.
+function sanitizePromptInput(text, maxLength = 200) {
+    return String(text || '')
+        .normalize('NFC')
+        .replace(/[\u0000-\u001f\u007f-\u009f]/g, ' ')
+        .replace(/["'`´“”‘’«»<>{}[\]\\]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .trim();
+}
+
+// Resolves to { done: true, value } if `promise` settles within budgetMs,
+// otherwise to { done: false } (the promise keeps running). A budget of 0
+// waits as long as it takes.
+function withinBudget(promise, budgetMs) {
+    const settled = promise.then(value => ({ done: true, value }));
+    if (!(budgetMs > 0)) return settled;
+    let timer;
+    const expired = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ done: false }), budgetMs);
+    });
+    return Promise.race([settled, expired]).finally(() => clearTimeout(timer));
+}
+
+function createAiService({ client, store, model = DEFAULT_MODEL, tasks = DEFAULT_TASKS, cacheTtlMs = 24 * 60 * 60 * 1000, timeoutMs = 10000, metrics = createMetrics() }) {
+    const inFlight = new Map(); // cache key -> pending request
+    const requestsTotal = metrics.counter('gemini_requests_total', 'Gemini calls by task and outcome (ok, empty, invalid, timeout, error, cached).', ['task', 'outcome']);
+    const requestDuration = metrics.histogram('gemini_request_duration_seconds', 'Time Gemini took to answer.', ['task']);
+
+    function cacheKey(task, contents) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([task, model, normalizePrompt(contents)]))
+            .digest('hex');
+    }
+
+    async function request(task, contents, { config, validate }) {
+        const stopTimer = requestDuration.startTimer({ task });
+        let outcome = 'error';
+        let timer;
+        try {
+            const timedOut = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    outcome = 'timeout';
+                    reject(new Error(`Gemini did not answer "${task}" within ${timeoutMs} ms.`));
+                }, timeoutMs);
+            });
+            const result = await Promise.race([
+                client.models.generateContent({
+                    model,
+                    contents,
+                    config: { ...tasks[task], ...config }
+                }),
+                timedOut
+            ]);
+            const text = result.text ? result.text.trim() : '';
+            outcome = 'invalid';
+            // An unusable answer (validate throws or returns nothing) is rejected, so it is not cached
+            if (text && validate && !validate(text)) throw new Error(`Unusable Gemini answer for "${task}".`);
+            outcome = text ? 'ok' : 'empty';
+            return text;
+        } finally {
+            clearTimeout(timer);
+            stopTimer();
+            requestsTotal.inc({ task, outcome });
+        }
+    }
+
+    // Resolves to the model's answer ('' for none). `options.config` adds
+    // request settings such as a response schema; `options.validate(text)` throws
+    // or returns a falsy value for answers that shouldn't be used or cached.
+    async function generate(task, contents, options = {}) {
+        if (!client) throw new Error('Gemini client not configured.');
+        if (!tasks[task]) throw new Error(`Unknown AI task "${task}".`);
+
+        const key = cacheKey(task, contents);
+        const cached = await store.get(key);
+        if (cached !== null) {
+            requestsTotal.inc({ task, outcome: 'cached' });
+            return cached;
+        }
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const pending = request(task, contents, options)
+            .then(async text => {
+                if (text) await store.set(key, text, { ttlMs: cacheTtlMs });
+                return text;
+            })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, pending);
+        return pending;
+    }
+
+    return { generate, available: Boolean(client) };
+}
+
+module.exports = { createAiService, withinBudget, normalizePrompt, sanitizePromptInput, DEFAULT_MODEL, DEFAULT_TASKS };
@@ -0,0 +1,127 @@
+const { translate } = require('./i18n');
+
+// --- Risk-alert subscriptions ---
+// Users subscribe (by phone number) to a municipality and a risk threshold.
+// checkZones() runs as a periodic job: it compares fresh zone data from the
+// mapaZZZ API with the snapshot it saw last time and texts each matching
+// subscriber about zones that have just reached their threshold. The first
+// run only records a baseline, so subscribing never triggers a flood of SMS
+// about zones that were already high risk. Instances sharing the state store
+// take turns: a run is claimed with stateStore.add(), and a run that dies
+// keeps the claim until runLeaseMs has passed.
+
+const HIGH_RISK = 3;
+const ALL_MUNICIPALITIES = 'Todos';
+
+// Keywords accepted by SMS to cancel alerts
+const STOP_KEYWORDS = ['PARAR', 'STOP', 'CANCELAR', 'SAIR'];
+
+function isStopKeyword(text) {
+    return STOP_KEYWORDS.includes(String(text || '').trim().toUpperCase());
+}
+
+function zoneKey(zone) {
+    return String(zone.id || zone._id || zone.location || '');
+}
+
+function zoneIsInMunicipality(zone, municipality) {
+    if (municipality === ALL_MUNICIPALITIES) return true;
+    const wanted = municipality.toLowerCase();
+    if (zone.municipality) return zone.municipality.toLowerCase() === wanted;
+    // Older zone records only have a free-text location
+    return String(zone.location || '').toLowerCase().includes(wanted);
+}
+
+// Day boundaries follow Luanda time, so "per day" means what users expect
+function luandaDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: 'Africa/Luanda' });
+}
+
+function createAlertService({ subscriptionStore, stateStore, mapazzz, sendSms, maxAlertsPerDay = 3, runLeaseMs = 5 * 60 * 1000, now = Date.now }) {
+    async function subscribe(phoneNumber, { municipality, threshold = HIGH_RISK, lang }) {
+        const subscription = { phoneNumber, municipality, threshold, lang, createdAt: now() };
+        await subscriptionStore.set(phoneNumber, subscription);
+        return subscription;
+    }
+
+    async function unsubscribe(phoneNumber) {
+        const existing = await subscriptionStore.get(phoneNumber);
+        await subscriptionStore.delete(phoneNumber);
+        return Boolean(existing);
+    }
+
+    async function getSubscription(phoneNumber) {
+        return subscriptionStore.get(phoneNumber);
+    }
+
+    // Reserves one of today's alerts for this number; false once the cap is hit.
+    // The count goes up atomically, so two runs can't both take the last one.
+    async function takeDailyAllowance(phoneNumber) {
+        const key = `count:${phoneNumber}:${luandaDate(now())}`;
+        const sent = await stateStore.increment(key, { ttlMs: 2 * 24 * 60 * 60 * 1000 });
+        return sent <= maxAlertsPerDay;
+    }
+
+    async function checkZones() {
+        if (!await stateStore.add('run', { at: now() }, { ttlMs: runLeaseMs })) {
+            return { skipped: 'another run in progress' };
+        }
+        try {
+            return await compareZones();
+        } finally {
+            await stateStore.delete('run');
+        }
+    }
+
+    async function compareZones() {
+        const snapshot = await mapazzz.getZones(null);
+        if (snapshot.stale) {
+            // Comparing against old data would only repeat the last run
+            return { skipped: 'stale zone data' };
+        }
+
+        const previous = await stateStore.get('zones');
+        const current = {};
+        snapshot.items.forEach(zone => {
+            const key = zoneKey(zone);
+            if (key) current[key] = Number(zone.riskLevel) || 0;
+        });
+        await stateStore.set('zones', current);
+
+        if (!previous) {
+            return { baseline: Object.keys(current).length, alerted: 0, capped: 0 };
+        }
+
+        // Zones whose level went up since the last run, with the old level
+        const risen = snapshot.items
+            .filter(zone => current[zoneKey(zone)] > (previous[zoneKey(zone)] || 0))
+            .map(zone => ({ zone, before: previous[zoneKey(zone)] || 0, after: current[zoneKey(zone)] }));
+
+        const summary = { risen: risen.length, alerted: 0, capped: 0 };
+        if (risen.length === 0) return summary;
+
+        for (const key of await subscriptionStore.keys()) {
+            const subscription = await subscriptionStore.get(key);
+            if (!subscription) continue;
+            const threshold = subscription.threshold || HIGH_RISK;
+            const zones = risen
+                .filter(({ before, after }) => before < threshold && after >= threshold)
+                .filter(({ zone }) => zoneIsInMunicipality(zone, subscription.municipality))
+                .map(({ zone }) => zone.location || zoneKey(zone));
+            if (zones.length === 0) continue;
+
+            if (!(await takeDailyAllowance(subscription.phoneNumber))) {
+                summary.capped++;
+                continue;
+            }
+            const body = translate(subscription.lang, 'alerts.sms', { zones: zones.slice(0, 3).join(', ') });
+            await sendSms(subscription.phoneNumber, body, subscription.lang);
+            summary.alerted++;
+        }
+        return summary;
+    }
+
+    return { subscribe, unsubscribe, getSubscription, checkZones };
+}
+
+module.exports = { createAlertService, isStopKeyword, ALL_MUNICIPALITIES, HIGH_RISK };
@@ -0,0 +1,141 @@
+// --- USSD session analytics ---
+// One record per USSD session: the screens it went through, the options
+// chosen, how many AI calls and SMS it caused, and how it finished: ended
+// by the service (an END screen) or abandoned (the caller hung up or the
+// gateway timed out, seen as no hop for `idleMs`). Records hold no phone
+// numbers or typed text and expire after `retentionMs`.
+//
+// Events, as recorded by the USSD route:
+//   { type: 'session_started' }
+//   { type: 'screen_entered', screen }
+//   { type: 'option_chosen', screen, option }   // option number on that screen
+//   { type: 'invalid_input', screen }
+//   { type: 'ai_called', task }
+//   { type: 'sms_sent' } / { type: 'sms_failed' }
+//   { type: 'session_ended', screen }
+// closeIdleSessions() adds 'session_abandoned' and runs as a periodic job;
+// report() summarizes the records into drop-off per screen and funnels.
+
+const MAX_PATH_LENGTH = 100;
+const COUNTED_EVENTS = ['ai_called', 'sms_sent', 'sms_failed', 'invalid_input'];
+
+function createAnalytics({ store, metrics, idleMs = 5 * 60 * 1000, retentionMs = 30 * 24 * 60 * 60 * 1000, now = Date.now }) {
+    const eventsTotal = metrics && metrics.counter('ussd_session_events_total', 'USSD session events by type.', ['event']);
+
+    function apply(session, event) {
+        switch (event.type) {
+            case 'screen_entered':
+                if (session.path[session.path.length - 1] !== event.screen && session.path.length < MAX_PATH_LENGTH) {
+                    session.path.push(event.screen);
+                }
+                break;
+            case 'option_chosen':
+                session.options.push([event.screen, event.option]);
+                break;
+            case 'session_ended':
+                session.ended = { at: now(), screen: event.screen };
+                break;
+            default:
+                if (COUNTED_EVENTS.includes(event.type)) session.counts[event.type] = (session.counts[event.type] || 0) + 1;
+        }
+    }
+
+    // Adds a hop's events (or a late one, such as a deferred SMS) to the session
+    async function record(sessionId, events) {
+        if (!sessionId || events.length === 0) return;
+        const session = (await store.get(sessionId))
+            || { startedAt: now(), lastSeenAt: now(), path: [], options: [], counts: {}, ended: null, abandoned: null };
+        events.forEach(event => {
+            apply(session, event);
+            if (eventsTotal) eventsTotal.inc({ event: event.type });
+        });
+        session.lastSeenAt = now();
+        await store.set(sessionId, session, { ttlMs: retentionMs - (now() - session.startedAt) });
+    }
+
+    const isIdle = session => !session.ended && !session.abandoned && now() - session.lastSeenAt >= idleMs;
+
+    async function closeIdleSessions() {
+        let abandoned = 0;
+        for (const sessionId of await store.keys()) {
+            const session = await store.get(sessionId);
+            if (!session || !isIdle(session)) continue;
+            const screen = session.path[session.path.length - 1] || null;
+            session.abandoned = { at: session.lastSeenAt, screen };
+            if (eventsTotal) eventsTotal.inc({ event: 'session_abandoned' });
+            await store.set(sessionId, session, { ttlMs: retentionMs - (now() - session.startedAt) });
+            abandoned++;
+        }
+        return { abandoned };
+    }
+
+    // Sessions started between `from` and `to`. A funnel is a list of screens; a session
+    // reaches a step when it has visited every step before it, in order.
+    async function report({ from = now() - 7 * 24 * 60 * 60 * 1000, to = now(), funnels = {} } = {}) {
+        const sessions = [];
+        for (const sessionId of await store.keys()) {
+            const session = await store.get(sessionId);
+            if (session && session.startedAt >= from && session.startedAt <= to) sessions.push(session);
+        }
+
+        const outcome = session => {
+            if (session.ended) return { type: 'ended', screen: session.ended.screen };
+            if (session.abandoned || isIdle(session)) {
+                return { type: 'abandoned', screen: session.abandoned ? session.abandoned.screen : session.path[session.path.length - 1] };
+            }
+            return { type: 'active', screen: null };
+        };
+
+        const summary = { started: sessions.length, ended: 0, abandoned: 0, active: 0 };
+        const events = Object.fromEntries(COUNTED_EVENTS.map(type => [type, 0]));
+        const screens = {};
+        const options = {};
+        const screenStats = id => {
+            screens[id] = screens[id] || { screen: id, sessions: 0, ended: 0, abandoned: 0 };
+            return screens[id];
+        };
+
+        sessions.forEach(session => {
+            const result = outcome(session);
+            summary[result.type]++;
+            COUNTED_EVENTS.forEach(type => { events[type] += session.counts[type] || 0; });
+            new Set(session.path).forEach(id => { screenStats(id).sessions++; });
+            if (result.screen) screenStats(result.screen)[result.type]++;
+            session.options.forEach(([screen, option]) => {
+                options[screen] = options[screen] || {};
+                options[screen][option] = (options[screen][option] || 0) + 1;
+            });
+        });
+
+        const funnelReport = Object.fromEntries(Object.entries(funnels).map(([name, steps]) => {
+            const counts = steps.map(() => ({ sessions: 0, ended: 0, abandoned: 0 }));
+            sessions.forEach(session => {
+                const result = outcome(session);
+                let reached = -1;
+                session.path.forEach(screen => {
+                    if (reached < steps.length - 1 && screen === steps[reached + 1]) reached++;
+                });
+                for (let index = 0; index <= reached; index++) counts[index].sessions++;
+                // Where it stopped: the furthest step, if that's where it finished
+                if (reached >= 0 && result.screen === steps[reached]) counts[reached][result.type]++;
+            });
+            return [name, steps.map((screen, index) => ({ screen, ...counts[index] }))];
+        }));
+
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            sessions: summary,
+            events,
+            screens: Object.values(screens)
+                .map(stats => ({ ...stats, dropOffRate: stats.sessions > 0 ? Math.round((stats.abandoned / stats.sessions) * 1000) / 1000 : 0 }))
+                .sort((a, b) => b.sessions - a.sessions),
+            options,
+            funnels: funnelReport
+        };
+    }
+
+    return { record, closeIdleSessions, report };
+}
+
+module.exports = { createAnalytics };
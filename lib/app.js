@@ -0,0 +1,621 @@
+const path = require('path');
+const os = require('os');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { GoogleGenAI } = require('@google/genai'); // Changed package and class name
+const { createMapazzzClient } = require('./mapazzzClient');
+const { createFlowEngine } = require('./flowEngine');
+const { createMenus, USSD_FUNNELS } = require('./menus');
+const { createStore } = require('./stores');
+const { createSessionStore, isValidSessionId } = require('./sessionStore');
+const { detectGateway, getGateway, inputSince } = require('./gateways');
+const { createReportService } = require('./reports');
+const { DEFAULT_LANGUAGE, translate, createTranslator } = require('./i18n');
+const { createPreferences } = require('./preferences');
+const { createSmsService, createSmsProvider } = require('./sms');
+const { createAlertService } = require('./alerts');
+const { normalizePhoneNumber } = require('./phone');
+const { TRIAGE_RESPONSE_SCHEMA, assessTriage, summarizeAnswers, parseAiAssessment, triageMessage } = require('./triage');
+const { createContentService } = require('./content');
+const { createHistoryService } = require('./history');
+const { createAdminRouter } = require('./adminRoutes');
+const { createAiService, sanitizePromptInput, DEFAULT_MODEL, DEFAULT_TASKS } = require('./ai');
+const { createKeywordChannel } = require('./keywordChannel');
+const { createGatewayGuard, hasBearerToken } = require('./gatewayAuth');
+const { createQuotaService } = require('./quotas');
+const { log, configureLogger } = require('./logger');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { createAnalytics } = require('./analytics');
+const { createDeferredAi } = require('./deferredAi');
+
+// Numeric setting from the environment; unlike `parseInt(...) || fallback`, keeps 0
+function numberSetting(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+// Comma-separated list setting, e.g. "10.0.0.1, 10.0.1.0/24"
+function listSetting(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Express "trust proxy" from TRUST_PROXY: "true", a hop count, or addresses/subnets
+function trustProxySetting(value) {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Keeps the raw body for signature checks (lib/gatewayAuth.js)
+function keepRawBody(req, res, buffer) {
+    req.rawBody = buffer;
+}
+
+// --- The USSD service as an Express app ---
+// createApp() wires every service from the environment and returns the app
+// without listening, so server.js, the simulator and the dialog tests can
+// each run it their own way. `options` replaces outside services, e.g. with
+// the fakes in lib/simulator/fakes.js:
+//   env          configuration (defaults to process.env)
+//   ai           Gemini client ({ models.generateContent }) or null for none
+//   smsProvider  SMS provider (see lib/sms)
+//   mapazzz      mapaZZZ API client (see lib/mapazzzClient.js)
+//   metrics      metrics registry (see lib/metrics.js), e.g. to read counters in a test
+// Resolves `ready` once the default content is in place.
+
+function createApp(options = {}) {
+    const env = options.env || process.env;
+
+    // --- Logging and metrics ---
+    // JSON log lines with phone numbers hashed and typed text redacted (lib/logger.js).
+    // Set LOG_HASH_SECRET so hashes stay comparable across instances and restarts.
+    configureLogger({ level: env.LOG_LEVEL || 'info', hashSecret: env.LOG_HASH_SECRET || undefined });
+    const metrics = options.metrics || createMetrics();
+
+    const app = express();
+    // Needed for the real client IP (allowlist, quotas) behind a proxy such as Vercel's
+    app.set('trust proxy', trustProxySetting(env.TRUST_PROXY));
+    app.use(bodyParser.json({ verify: keepRawBody }));
+    app.use(bodyParser.urlencoded({ extended: true, verify: keepRawBody }));
+
+    // --- Configuration - Load from Environment Variables ---
+    const GEMINI_API_KEY = env.GEMINI_API_KEY;
+    const TWILIO_ACCOUNT_SID = env.TWILIO_ACCOUNT_SID;
+    const TWILIO_AUTH_TOKEN = env.TWILIO_AUTH_TOKEN;
+    const TWILIO_PHONE_NUMBER = env.TWILIO_PHONE_NUMBER;
+
+    // Initialize Gemini AI Client (unless one was injected, e.g. a test fake)
+    let ai;
+    if (options.ai !== undefined) {
+        ai = options.ai;
+    } else if (GEMINI_API_KEY) {
+        try {
+            ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY }); // Changed initialization
+            log.info('Gemini AI client initialized successfully.');
+        } catch (error) {
+            log.error('Failed to initialize GoogleGenAI. Ensure API_KEY is valid.', { error });
+            ai = null;
+        }
+    } else {
+        log.warn('GEMINI_API_KEY environment variable is not set. Gemini features will not work.');
+        ai = null;
+    }
+
+    // Session storage: "memory" (single instance), "file" (survives restarts on one host)
+    // or "redis" (shared between serverless instances)
+    const STORE_DRIVER = env.STORE_DRIVER || 'memory';
+    const STORE_DIR = env.STORE_DIR || path.join(os.tmpdir(), 'mapazzz-ussd');
+    const REDIS_URL = env.REDIS_URL;
+    const SESSION_TTL_MS = parseInt(env.SESSION_TTL_MS, 10) || 5 * 60 * 1000;
+
+    const sessionStore = createSessionStore({
+        store: createStore({ driver: STORE_DRIVER, namespace: 'sessions', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        ttlMs: SESSION_TTL_MS
+    });
+
+    // Per-phone settings such as the menu language; kept indefinitely
+    const preferences = createPreferences({
+        store: createStore({ driver: STORE_DRIVER, namespace: 'preferences', dir: STORE_DIR, redisUrl: REDIS_URL })
+    });
+
+    // Health tips, emergency contacts and municipalities, edited through /admin
+    const content = createContentService({
+        store: createStore({ driver: STORE_DRIVER, namespace: 'content', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        cacheMs: numberSetting(env.CONTENT_CACHE_MS, 30 * 1000)
+    });
+    const ready = content.seed().catch(error => log.error('Error seeding default content.', { error }));
+
+    const MAPAZZZ_API_BASE_URL = env.MAPAZZZ_API_BASE_URL || 'https://mapazzz-api.vercel.app/api';
+    const MAPAZZZ_CACHE_TTL_MS = parseInt(env.MAPAZZZ_CACHE_TTL_MS, 10) || 60 * 1000;
+    const MAPAZZZ_TIMEOUT_MS = parseInt(env.MAPAZZZ_TIMEOUT_MS, 10) || 2500;
+
+    const mapazzz = options.mapazzz || createMapazzzClient({
+        baseUrl: MAPAZZZ_API_BASE_URL,
+        ttlMs: MAPAZZZ_CACHE_TTL_MS,
+        timeoutMs: MAPAZZZ_TIMEOUT_MS
+    });
+
+    // --- SMS ---
+    // Provider: "twilio", "africastalking" or "console" (logs only, for development).
+    // Defaults to Twilio when its credentials are set.
+    const SMS_PROVIDER = env.SMS_PROVIDER || (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_PHONE_NUMBER ? 'twilio' : 'console');
+    const AFRICASTALKING_USERNAME = env.AFRICASTALKING_USERNAME;
+    const AFRICASTALKING_API_KEY = env.AFRICASTALKING_API_KEY;
+    const AFRICASTALKING_SENDER_ID = env.AFRICASTALKING_SENDER_ID;
+    const SMS_CONSOLE_FILE = env.SMS_CONSOLE_FILE;
+    // Public URL of this service, used for provider callbacks (e.g. https://ussd.example.com)
+    const PUBLIC_BASE_URL = env.PUBLIC_BASE_URL;
+    // Replace accented characters outside GSM-7 so Portuguese SMS aren't sent as UCS-2
+    const SMS_TRANSLITERATE = env.SMS_TRANSLITERATE === 'true';
+
+    let sms;
+    try {
+        sms = createSmsService({
+            provider: options.smsProvider || createSmsProvider(SMS_PROVIDER, {
+                accountSid: TWILIO_ACCOUNT_SID,
+                authToken: TWILIO_AUTH_TOKEN,
+                from: SMS_PROVIDER === 'twilio' ? TWILIO_PHONE_NUMBER : AFRICASTALKING_SENDER_ID,
+                statusCallback: PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL.replace(/\/+$/, '')}/sms/status/twilio` : undefined,
+                username: AFRICASTALKING_USERNAME,
+                apiKey: AFRICASTALKING_API_KEY,
+                file: SMS_CONSOLE_FILE,
+                // Reject webhooks not signed by Twilio (on unless TWILIO_VALIDATE_SIGNATURE=false)
+                validateSignature: env.TWILIO_VALIDATE_SIGNATURE !== 'false',
+                publicBaseUrl: PUBLIC_BASE_URL
+            }),
+            queueStore: createStore({ driver: STORE_DRIVER, namespace: 'sms_outbox', dir: STORE_DIR, redisUrl: REDIS_URL }),
+            messageStore: createStore({ driver: STORE_DRIVER, namespace: 'sms_messages', dir: STORE_DIR, redisUrl: REDIS_URL }),
+            transliterate: SMS_TRANSLITERATE,
+            metrics
+        });
+        log.info('SMS provider ready.', { provider: sms.provider.name });
+    } catch (error) {
+        log.error('Failed to initialize the SMS provider.', { provider: SMS_PROVIDER, error });
+        sms = null;
+    }
+
+    // --- Quotas on paid operations ---
+    // Per phone number and per source IP, per QUOTA_WINDOW_MS. Behind a USSD
+    // gateway every request comes from the gateway's addresses, so the per-IP
+    // limits are off unless set.
+    const quotas = createQuotaService({
+        store: createStore({ driver: STORE_DRIVER, namespace: 'quotas', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        limits: {
+            ai: { perPhone: numberSetting(env.QUOTA_AI_PER_PHONE, 10), perIp: numberSetting(env.QUOTA_AI_PER_IP, 0) },
+            sms: { perPhone: numberSetting(env.QUOTA_SMS_PER_PHONE, 20), perIp: numberSetting(env.QUOTA_SMS_PER_IP, 0) }
+        },
+        windowMs: numberSetting(env.QUOTA_WINDOW_MS, 24 * 60 * 60 * 1000)
+    });
+
+    // Queues an SMS and returns a status line for the USSD reply, in the caller's language.
+    // Never waits on the provider: delivery happens from the outbox. SMS the user
+    // asked for count against the SMS quota (of the recipient and of `ip`);
+    // `metered: false` is for messages with their own cap, like risk alerts.
+    // With `sessionId`, the outcome counts in that USSD session's analytics.
+    async function sendSms(to, body, lang = DEFAULT_LANGUAGE, { ip, metered = true, sessionId } = {}) {
+        const { queued, status } = await queueForRecipient(to, body, lang, { ip, metered });
+        if (sessionId) await analytics.record(sessionId, [{ type: queued ? 'sms_sent' : 'sms_failed' }]);
+        return status;
+    }
+
+    async function queueForRecipient(to, body, lang, { ip, metered }) {
+        if (!sms) {
+            return { queued: false, status: translate(lang, 'sms.unavailable') };
+        }
+        if (metered && !await quotas.take('sms', { phoneNumber: to, ip })) {
+            return { queued: false, status: translate(lang, 'quota.sms') };
+        }
+        const result = await sms.queueSms(to, body);
+        if (!result.queued) {
+            return { queued: false, status: translate(lang, `sms.${result.reason}`, { to }) };
+        }
+        return { queued: true, status: translate(lang, 'sms.queued') };
+    }
+
+    // What callers do in USSD sessions (lib/analytics.js); a session counts as
+    // abandoned once it has been idle as long as a USSD session lives
+    const analytics = createAnalytics({
+        store: createStore({ driver: STORE_DRIVER, namespace: 'analytics', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        metrics,
+        idleMs: SESSION_TTL_MS,
+        retentionMs: numberSetting(env.ANALYTICS_RETENTION_DAYS, 30) * 24 * 60 * 60 * 1000
+    });
+
+
+    // --- Gemini ---
+    // Model and generation settings, how long a request may take at most, and
+    // how long a USSD hop waits for an answer before promising the result by
+    // SMS (0 waits as long as the request takes).
+    const aiService = createAiService({
+        client: ai,
+        store: createStore({ driver: STORE_DRIVER, namespace: 'ai_cache', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        model: env.GEMINI_MODEL || DEFAULT_MODEL,
+        tasks: {
+            triage: {
+                temperature: numberSetting(env.GEMINI_TRIAGE_TEMPERATURE, DEFAULT_TASKS.triage.temperature),
+                maxOutputTokens: numberSetting(env.GEMINI_TRIAGE_MAX_TOKENS, DEFAULT_TASKS.triage.maxOutputTokens)
+            },
+            solution: {
+                temperature: numberSetting(env.GEMINI_SOLUTION_TEMPERATURE, DEFAULT_TASKS.solution.temperature),
+                maxOutputTokens: numberSetting(env.GEMINI_SOLUTION_MAX_TOKENS, DEFAULT_TASKS.solution.maxOutputTokens)
+            }
+        },
+        cacheTtlMs: numberSetting(env.AI_CACHE_TTL_MS, 24 * 60 * 60 * 1000),
+        timeoutMs: numberSetting(env.AI_TIMEOUT_MS, 10000),
+        metrics
+    });
+    const AI_RESPONSE_BUDGET_MS = numberSetting(env.AI_RESPONSE_BUDGET_MS, 3000);
+
+    // --- Malaria triage scoring with Gemini ---
+    // Resolves to an assessment from lib/triage. Gemini must answer with the
+    // triage JSON schema; if it is unavailable or its answer doesn't fit, the
+    // rule-based score is used instead.
+    async function assessMalariaRiskJS(answers, lang = DEFAULT_LANGUAGE) {
+        const askAi = aiService.available
+            ? () => aiService.generate('triage', translate(lang, 'ai.triage.prompt', { answers: summarizeAnswers(answers) }), {
+                config: { responseMimeType: 'application/json', responseSchema: TRIAGE_RESPONSE_SCHEMA },
+                validate: parseAiAssessment
+            })
+            : null;
+        return assessTriage(answers, { askAi });
+    }
+
+    // --- Helper function to get Zone Solution from Gemini ---
+    // Resolves to { ok, text }: `text` is the answer when ok, otherwise a message
+    // for the user, in either case in the caller's language.
+    async function getZoneSolutionJS(problemDescription, lang = DEFAULT_LANGUAGE) {
+        if (!aiService.available) return { ok: false, text: translate(lang, 'ai.unavailable') };
+        if (!problemDescription || problemDescription.trim() === "") {
+            return { ok: false, text: translate(lang, 'ai.solution.noProblem') };
+        }
+        try {
+            // The description is the caller's free text: keep it from reading as instructions
+            const problem = sanitizePromptInput(problemDescription);
+            const text = await aiService.generate('solution', translate(lang, 'ai.solution.prompt', { problem }));
+            if (!text) return { ok: false, text: translate(lang, 'ai.solution.noResult') };
+            return { ok: true, text };
+        } catch (error) {
+            log.error('Error calling Gemini API for zone solution.', { error });
+            return { ok: false, text: translate(lang, 'ai.solution.error') };
+        }
+    }
+
+    // Analyses, suggestions and reports per phone number, for "Minhas análises
+    // e reportagens"; purged after HISTORY_RETENTION_DAYS
+    const history = createHistoryService({
+        store: createStore({ driver: STORE_DRIVER, namespace: 'history', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        retentionMs: numberSetting(env.HISTORY_RETENTION_DAYS, 90) * 24 * 60 * 60 * 1000,
+        maxEntries: numberSetting(env.HISTORY_MAX_ENTRIES, 20)
+    });
+
+    const reports = createReportService({
+        mapazzz,
+        store: createStore({ driver: STORE_DRIVER, namespace: 'report_outbox', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        sendSms,
+        history
+    });
+
+    // Analyses that miss AI_RESPONSE_BUDGET_MS, completed by SMS (lib/deferredAi.js)
+    const deferredAi = createDeferredAi({
+        store: createStore({ driver: STORE_DRIVER, namespace: 'ai_deferred', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        tasks: {
+            triage: {
+                run: assessMalariaRiskJS,
+                toSms: (assessment, answers, t) => t('triage.sms', { result: triageMessage(t, assessment, answers) })
+            },
+            solution: {
+                run: getZoneSolutionJS,
+                toSms: (solution, problem, t) => (solution.ok ? t('solution.sms', { result: solution.text }) : null)
+            }
+        },
+        history,
+        sendSms,
+        budgetMs: AI_RESPONSE_BUDGET_MS
+    });
+
+    const alerts = createAlertService({
+        subscriptionStore: createStore({ driver: STORE_DRIVER, namespace: 'alert_subscriptions', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        stateStore: createStore({ driver: STORE_DRIVER, namespace: 'alert_state', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        mapazzz,
+        sendSms: (to, body, lang) => sendSms(to, body, lang, { metered: false }),
+        maxAlertsPerDay: parseInt(env.ALERTS_MAX_PER_DAY, 10) || 3
+    });
+
+    // --- Background jobs ---
+    // Run periodically while the server is up, and exposed at /jobs/:job so a
+    // scheduler (e.g. Vercel Cron) can drive them on serverless deployments.
+    const CRON_SECRET = env.CRON_SECRET;
+    const JOB_INTERVAL_MS = parseInt(env.JOB_INTERVAL_MS, 10) || 60 * 1000;
+
+    const jobs = {
+        'report-outbox': () => reports.flushQueue(),
+        'ai-deferred': () => deferredAi.flush(),
+        'sms-outbox': () => (sms ? sms.flush() : { skipped: 'SMS not configured' }),
+        'risk-alerts': () => alerts.checkZones(),
+        'history-retention': () => history.purge(),
+        'session-analytics': () => analytics.closeIdleSessions()
+    };
+
+    async function runJob(name) {
+        try {
+            const summary = await jobs[name]();
+            log.info('Job finished.', { job: name, summary });
+            return summary;
+        } catch (error) {
+            log.error('Job failed.', { job: name, error });
+            throw error;
+        }
+    }
+
+    // Characters per USSD page: 160 octets hold 182 GSM-7 characters but only
+    // 80 UCS-2 ones, which most Portuguese screens need; some networks need less
+    const USSD_MAX_LENGTH = parseInt(env.USSD_MAX_LENGTH, 10) || 182;
+    const USSD_MAX_LENGTH_UCS2 = parseInt(env.USSD_MAX_LENGTH_UCS2, 10) || 80;
+
+    const ussdFlow = createFlowEngine({
+        root: 'menu',
+        translate: (ctx, key) => ctx.t(`flow.${key}`),
+        limits: { 'GSM-7': USSD_MAX_LENGTH, 'UCS-2': USSD_MAX_LENGTH_UCS2 },
+        track: (ctx, event) => ctx.track(event),
+        screens: createMenus({
+            mapazzz,
+            sendSms,
+            deferredAi,
+            quotas,
+            reports,
+            preferences,
+            alerts,
+            content,
+            history,
+            eraseCallerData
+        })
+    });
+
+    // "Apagar os meus dados": everything kept per number. Reports already
+    // submitted to mapaZZZ are out of reach; queued ones lose the number.
+    // Analyses still waiting to go out by SMS are dropped.
+    // Quota counters stay until their window ends, so erasing can't reset them.
+    async function eraseCallerData(phoneNumber) {
+        await history.erase(phoneNumber);
+        await preferences.clear(phoneNumber);
+        await alerts.unsubscribe(phoneNumber);
+        await keywordChannel.forget(phoneNumber);
+        await reports.forgetPhoneNumber(phoneNumber);
+        await deferredAi.forget(phoneNumber);
+        if (sms) await sms.erase(phoneNumber);
+        log.info('Caller data erased.', { phoneNumber });
+    }
+
+    app.get('/', (req, res) => {
+        res.send("ok");
+    });
+
+    // Browser handset for trying dialogs (see README); off in production unless asked for
+    if (env.SIMULATOR_ENABLED === 'true' || (env.SIMULATOR_ENABLED !== 'false' && env.NODE_ENV !== 'production')) {
+        app.get('/simulator', (req, res) => {
+            res.sendFile(path.join(__dirname, 'simulator', 'simulator.html'));
+        });
+    }
+
+    // GET for Vercel Cron, POST for everything else; both need CRON_SECRET as a bearer token
+    async function jobRoute(req, res) {
+        if (!hasBearerToken(CRON_SECRET, req)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (!Object.hasOwn(jobs, req.params.job)) {
+            return res.status(404).json({ error: 'Unknown job' });
+        }
+        try {
+            res.json(await runJob(req.params.job));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+    app.get('/jobs/:job', jobRoute);
+    app.post('/jobs/:job', jobRoute);
+
+    app.use('/admin', createAdminRouter({ content, analytics, funnels: USSD_FUNNELS, token: env.ADMIN_TOKEN }));
+
+    // Prometheus scrape endpoint (lib/metrics.js); with METRICS_TOKEN set, it
+    // is required as a bearer token
+    app.get('/metrics', (req, res) => {
+        if (env.METRICS_TOKEN && !hasBearerToken(env.METRICS_TOKEN, req)) {
+            return res.status(401).send('Unauthorized');
+        }
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    // --- SMS provider webhooks ---
+    // Twilio signs its webhooks (provider.verifyRequest, unless
+    // TWILIO_VALIDATE_SIGNATURE=false). Providers that don't,
+    // like Africa's Talking, must call from SMS_WEBHOOK_ALLOWED_IPS or with
+    // ?token=<SMS_WEBHOOK_TOKEN> in the callback URLs; with neither set their
+    // webhooks are refused, since anyone could otherwise make the service send
+    // paid SMS, run Gemini analyses or cancel someone's alerts. The console
+    // provider accepts any caller in development only; in production (the
+    // fallback when no provider is configured) it is guarded the same way.
+    const smsWebhookGuard = createGatewayGuard({
+        name: 'SMS webhook',
+        allowedIps: listSetting(env.SMS_WEBHOOK_ALLOWED_IPS),
+        queryToken: env.SMS_WEBHOOK_TOKEN
+    });
+    const openConsoleWebhooks = env.NODE_ENV !== 'production';
+    const smsWebhooksRefused = Boolean(sms && !sms.provider.signsWebhooks
+        && !(sms.provider.name === 'console' && openConsoleWebhooks)
+        && !env.SMS_WEBHOOK_ALLOWED_IPS && !env.SMS_WEBHOOK_TOKEN);
+
+    function checkSmsWebhook(req, res, next) {
+        if (!sms || req.params.provider !== sms.provider.name) {
+            return res.status(404).send('Unknown SMS provider.');
+        }
+        if (sms.provider.signsWebhooks) {
+            if (sms.provider.verifyRequest && !sms.provider.verifyRequest(req)) return res.status(403).send('Invalid signature.');
+            return next();
+        }
+        if (smsWebhooksRefused) {
+            log.warn('Rejected SMS webhook: set SMS_WEBHOOK_ALLOWED_IPS or SMS_WEBHOOK_TOKEN.', { provider: sms.provider.name, ip: req.ip });
+            return res.status(403).send('Forbidden');
+        }
+        smsWebhookGuard(req, res, next);
+    }
+
+    // Delivery reports: point Twilio (set automatically via PUBLIC_BASE_URL) or the
+    // Africa's Talking dashboard at /sms/status/<provider>
+    app.post('/sms/status/:provider', checkSmsWebhook, async (req, res) => {
+        try {
+            const record = await sms.recordStatus(sms.provider.parseStatus(req));
+            if (record) log.info('SMS status updated.', { id: record.id, status: record.status });
+            res.status(204).end();
+        } catch (error) {
+            log.error('Error recording SMS delivery status.', { error });
+            res.status(500).end();
+        }
+    });
+
+    // Keyword commands by SMS and WhatsApp, with the same services as the menus.
+    // Twilio waits longer for a webhook than a USSD gateway, so AI answers are
+    // awaited here rather than deferred to a later SMS.
+    const keywordChannel = createKeywordChannel({
+        mapazzz,
+        reports,
+        assessMalariaRisk: assessMalariaRiskJS,
+        getZoneSolution: getZoneSolutionJS,
+        content,
+        alerts,
+        quotas,
+        history,
+        store: createStore({ driver: STORE_DRIVER, namespace: 'sms_conversations', dir: STORE_DIR, redisUrl: REDIS_URL }),
+        ttlMs: numberSetting(env.SMS_CONVERSATION_TTL_MS, 30 * 60 * 1000)
+    });
+
+    // Incoming SMS and WhatsApp messages: point Twilio's "A message comes in"
+    // webhook (for the SMS number and the WhatsApp sender) or the Africa's
+    // Talking incoming messages callback at /sms/inbound/<provider>. Twilio
+    // gets the reply as TwiML; other providers send it through the outbox,
+    // counted against the SMS quota like any SMS the user asks for.
+    app.post('/sms/inbound/:provider', checkSmsWebhook, async (req, res) => {
+        try {
+            const { from, text, channel = 'sms' } = sms.provider.parseInbound(req);
+            const phoneNumber = normalizePhoneNumber(from);
+            let reply = null;
+            let lang = DEFAULT_LANGUAGE;
+            if (phoneNumber) {
+                lang = await preferences.getLanguage(phoneNumber);
+                reply = await keywordChannel.handle({ sender: `${channel}:${phoneNumber}`, phoneNumber, channel, text, lang, ip: req.ip });
+            }
+
+            if (sms.provider.respondInbound) {
+                return sms.provider.respondInbound(res, reply);
+            }
+            if (reply) {
+                const { queued, status } = await queueForRecipient(phoneNumber, reply, lang, { ip: req.ip, metered: true });
+                if (!queued) log.warn('Keyword reply not sent.', { phoneNumber, status });
+            }
+            res.status(204).end();
+        } catch (error) {
+            log.error('Error handling incoming message.', { error });
+            res.status(500).end();
+        }
+    });
+
+    // Runs one USSD hop, whatever gateway it came from. Takes and returns the
+    // gateway-neutral shapes described in lib/gateways.
+    async function handleUssdRequest({ sessionId, serviceCode, phoneNumber, input, isNewSession, dialogText, ip }) {
+        if (!isValidSessionId(sessionId)) {
+            return { end: true, text: translate(DEFAULT_LANGUAGE, 'error.invalidSession') };
+        }
+
+        let lang = DEFAULT_LANGUAGE;
+
+        try {
+            let session = await sessionStore.load(sessionId);
+            const isNewDialog = !session || isNewSession;
+            if (!session) {
+                session = { flow: 'menu', data: {}, history: [] };
+            }
+
+            if (dialogText !== undefined) {
+                if (!isNewDialog) input = inputSince(session.dialogText, dialogText, input);
+                session.dialogText = dialogText;
+            }
+
+            log.debug('USSD input.', { sessionId, flow: session.flow, newDialog: isNewDialog, input });
+
+            // The language preference is read once per dialog and then travels with the session
+            if (isNewDialog || !session.lang) {
+                session.lang = await preferences.getLanguage(phoneNumber);
+            }
+            lang = session.lang;
+
+            // Analytics events of this hop, saved once it is answered
+            const events = isNewDialog ? [{ type: 'session_started' }] : [];
+            const ctx = { session, sessionId, serviceCode, phoneNumber, ip, lang, t: createTranslator(lang) };
+            ctx.track = event => events.push(event);
+            ctx.setLanguage = newLang => {
+                session.lang = ctx.lang = lang = newLang;
+                ctx.t = createTranslator(newLang);
+            };
+            const result = isNewDialog ? await ussdFlow.start(ctx) : await ussdFlow.handle(ctx, input);
+
+            if (result.end) {
+                await sessionStore.destroy(sessionId);
+            } else {
+                await sessionStore.save(sessionId, session);
+            }
+            await analytics.record(sessionId, events)
+                .catch(error => log.error('Error recording session analytics.', { sessionId, error }));
+            return result;
+        } catch (error) {
+            log.error('Error handling USSD input.', { sessionId, error });
+            return { end: true, text: translate(lang, 'error.generic'), error: true };
+        }
+    }
+
+    const ussdRequests = metrics.counter('ussd_requests_total', 'USSD hops by gateway and outcome (continue, end, error).', ['gateway', 'outcome']);
+    const ussdDuration = metrics.histogram('ussd_request_duration_seconds', 'Time taken to answer a USSD hop.', ['gateway']);
+
+    function ussdRoute(resolveGateway) {
+        return async (req, res) => {
+            const gateway = resolveGateway(req);
+            if (!gateway) {
+                return res.status(404).send('Unknown USSD gateway.');
+            }
+            const stopTimer = ussdDuration.startTimer({ gateway: gateway.name });
+            const request = gateway.parse(req);
+            const result = await handleUssdRequest({ ...request, ip: req.ip });
+            gateway.render(res, result, request);
+
+            const outcome = result.error ? 'error' : (result.end ? 'end' : 'continue');
+            stopTimer();
+            ussdRequests.inc({ gateway: gateway.name, outcome });
+            log.info('USSD request.', { gateway: gateway.name, sessionId: request.sessionId, phoneNumber: request.phoneNumber, outcome });
+        };
+    }
+
+    // /ussd detects the gateway from the request body (Africa's Talking by default);
+    // /ussd/:gateway pins it, e.g. /ussd/json
+    // Only the gateway may call these (USSD_ALLOWED_IPS, USSD_SHARED_SECRET)
+    const gatewayGuard = createGatewayGuard({
+        allowedIps: listSetting(env.USSD_ALLOWED_IPS),
+        sharedSecret: env.USSD_SHARED_SECRET
+    });
+    app.post('/ussd', gatewayGuard, ussdRoute(detectGateway));
+    app.post('/ussd/:gateway', gatewayGuard, ussdRoute(req => getGateway(req.params.gateway)));
+
+    return {
+        app,
+        ready,
+        jobs,
+        runJob,
+        jobIntervalMs: JOB_INTERVAL_MS,
+        sms,
+        ai,
+        metrics,
+        analytics,
+        hasGeminiKey: Boolean(GEMINI_API_KEY),
+        gatewayOpen: !env.USSD_ALLOWED_IPS && !env.USSD_SHARED_SECRET,
+        smsWebhooksRefused
+    };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,51 @@
+// Content published on first start, before anyone has used the admin API.
+// Localized fields are { pt, en, kmb }; missing languages fall back to pt.
+
+module.exports = {
+    tips: [
+        {
+            label: { pt: 'Prevenção da Malária', en: 'Malaria prevention' },
+            text: {
+                pt: 'Malária: Use mosquiteiro, elimine água parada, procure médico aos primeiros sintomas.',
+                en: 'Malaria: Sleep under a net, remove standing water, see a doctor at the first symptoms.'
+            }
+        },
+        {
+            label: { pt: 'Saneamento Básico', en: 'Basic sanitation' },
+            text: {
+                pt: 'Saneamento: Mantenha quintal limpo, lixo no lugar certo, lave as mãos. Saúde!',
+                en: 'Sanitation: Keep your yard clean, rubbish in the right place, wash your hands. Stay healthy!'
+            }
+        },
+        {
+            label: { pt: 'Primeiros Socorros (Básico)', en: 'First aid (basic)' },
+            text: {
+                pt: '1os Socorros: Queimadura leve? Água fria. Cortes? Limpe e cubra. Grave? Ajuda médica!',
+                en: 'First aid: Minor burn? Cold water. Cut? Clean and cover it. Serious? Get medical help!'
+            }
+        }
+    ],
+    emergency_contacts: [
+        { name: { pt: 'Polícia', en: 'Police' }, number: '113' },
+        { name: { pt: 'Bombeiros', en: 'Fire brigade' }, number: '115' },
+        { name: { pt: 'Ambulância (INEMA)', en: 'Ambulance (INEMA)' }, number: '112' },
+        { name: { pt: 'Proteção Civil', en: 'Civil Protection' }, number: '117' },
+        { name: { pt: 'Violência Doméstica', en: 'Domestic violence' }, number: '146' }
+    ],
+    municipalities: [
+        { name: 'Belas' },
+        { name: 'Zango' },
+        { name: 'Viana' }
+    ],
+    // Starter list so the facilities menu works on first start: public units in
+    // the menu's municipalities, with no services, hours, phone numbers or
+    // coordinates. Import the full, verified dataset through
+    // POST /admin/content/facilities/import.
+    facilities: [
+        { name: 'Hospital Municipal de Viana', kind: 'saude', municipality: 'Viana', bairro: 'Viana Sede' },
+        { name: 'Centro de Saúde de Viana', kind: 'saude', municipality: 'Viana', bairro: 'Estalagem' },
+        { name: 'Hospital Geral de Luanda', kind: 'saude', municipality: 'Belas', bairro: 'Camama' },
+        { name: 'Centro de Saúde do Zango', kind: 'saude', municipality: 'Zango', bairro: 'Zango 1' },
+        { name: 'Posto de Saúde do Zango 3', kind: 'saude', municipality: 'Zango', bairro: 'Zango 3' }
+    ]
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { DEFAULT_LANGUAGE, isSupportedLanguage } = require('../i18n');
+const DEFAULT_CONTENT = require('./defaults');
+
+// --- Editable menu content ---
+// Health tips, emergency contacts, the municipality lists and health
+// facilities are kept in a
+// key/value store (lib/stores) instead of the code, so they can be changed
+// through the admin API without a redeploy. Every item has a draft and a
+// published copy: edits change the draft, publish() makes it live and adds a
+// numbered version to the item's history, and rollback() republishes an
+// older version. The USSD menus only ever see published content.
+//
+// The menus read listPublished() on almost every hop, so its result is kept
+// in memory for `cacheMs` per type. A change made through this instance
+// clears the type at once; other instances see it within `cacheMs`.
+//
+// Errors meant for the API caller carry an HTTP `status`.
+
+// Localized fields are { pt, en, kmb } with pt required; plain fields are
+// required strings and optional ones may be left out. Types with coordinates
+// take an optional latitude/longitude pair.
+const CONTENT_TYPES = {
+    tips: {
+        localized: { label: 40, text: 300 },
+        plain: {}
+    },
+    emergency_contacts: {
+        localized: { name: 40 },
+        plain: { number: 20 }
+    },
+    municipalities: {
+        localized: {},
+        plain: { name: 40 }
+    },
+    facilities: {
+        localized: {},
+        plain: { name: 60, kind: 10, municipality: 40, bairro: 40 },
+        optional: { services: 120, hours: 60, phone: 20 },
+        coordinates: true
+    }
+};
+
+// "saude": hospitals, health centres and posts; "farmacia": pharmacies
+const FACILITY_KINDS = ['saude', 'farmacia'];
+
+const PHONE_NUMBER_PATTERN = /^\+?[\d\s*#-]{2,20}$/;
+const MAX_VERSIONS = 50;
+
+function contentError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isContentType(type) {
+    return Object.hasOwn(CONTENT_TYPES, type);
+}
+
+function assertContentType(type) {
+    if (!isContentType(type)) {
+        throw contentError(404, `Unknown content type "${type}". Use one of: ${Object.keys(CONTENT_TYPES).join(', ')}.`);
+    }
+}
+
+// Both or neither; numbers may come as text (e.g. from a CSV import)
+function validateCoordinates({ latitude, longitude }) {
+    const missing = value => value === undefined || value === null || value === '';
+    if (missing(latitude) && missing(longitude)) return {};
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (missing(latitude) || missing(longitude) || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+        Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw contentError(400, '"latitude" and "longitude" must be given together, in degrees.');
+    }
+    return { latitude: lat, longitude: lng };
+}
+
+// Returns the cleaned-up fields or throws a 400 describing the first problem
+function validateFields(type, fields) {
+    const { localized, plain, optional = {}, coordinates = false } = CONTENT_TYPES[type];
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw contentError(400, 'Expected an object of fields.');
+    }
+    const clean = {};
+    for (const [name, maxLength] of Object.entries(localized)) {
+        const value = fields[name];
+        if (!value || typeof value !== 'object' || typeof value[DEFAULT_LANGUAGE] !== 'string' || !value[DEFAULT_LANGUAGE].trim()) {
+            throw contentError(400, `"${name}" needs at least a "${DEFAULT_LANGUAGE}" text.`);
+        }
+        clean[name] = {};
+        for (const [lang, text] of Object.entries(value)) {
+            if (!isSupportedLanguage(lang)) throw contentError(400, `"${name}": unsupported language "${lang}".`);
+            if (typeof text !== 'string') throw contentError(400, `"${name}.${lang}" must be text.`);
+            if (text.length > maxLength) throw contentError(400, `"${name}.${lang}" is longer than ${maxLength} characters.`);
+            if (text.trim()) clean[name][lang] = text.trim();
+        }
+    }
+    for (const [name, maxLength] of Object.entries(plain)) {
+        const value = fields[name];
+        if (typeof value !== 'string' || !value.trim()) throw contentError(400, `"${name}" is required.`);
+        if (value.length > maxLength) throw contentError(400, `"${name}" is longer than ${maxLength} characters.`);
+        clean[name] = value.trim();
+    }
+    for (const [name, maxLength] of Object.entries(optional)) {
+        const value = fields[name];
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string') throw contentError(400, `"${name}" must be text.`);
+        if (value.length > maxLength) throw contentError(400, `"${name}" is longer than ${maxLength} characters.`);
+        if (value.trim()) clean[name] = value.trim();
+    }
+    if (coordinates) Object.assign(clean, validateCoordinates(fields));
+    if (type === 'emergency_contacts' && !PHONE_NUMBER_PATTERN.test(clean.number)) {
+        throw contentError(400, `"${clean.number}" is not a phone number.`);
+    }
+    if (type === 'facilities') {
+        if (!FACILITY_KINDS.includes(clean.kind)) {
+            throw contentError(400, `"kind" must be one of: ${FACILITY_KINDS.join(', ')}.`);
+        }
+        if (clean.phone && !PHONE_NUMBER_PATTERN.test(clean.phone)) {
+            throw contentError(400, `"${clean.phone}" is not a phone number.`);
+        }
+    }
+    return clean;
+}
+
+// Picks the caller's language from a localized field, falling back to pt
+function localize(value, lang) {
+    if (typeof value === 'string') return value;
+    return (value && (value[lang] || value[DEFAULT_LANGUAGE])) || '';
+}
+
+function statusOf(item) {
+    if (!item.published) return 'draft';
+    return JSON.stringify(item.draft) === JSON.stringify(item.published) ? 'published' : 'changed';
+}
+
+function createContentService({ store, cacheMs = 30 * 1000, now = Date.now }) {
+    const itemKey = (type, id) => `${type}:${id}`;
+    // type -> { items, expiresAt }; `changes` keeps a read that overlapped a
+    // change from caching what it read before it
+    const publishedCache = new Map();
+    let changes = 0;
+
+    function changed(type) {
+        changes += 1;
+        publishedCache.delete(type);
+    }
+
+    async function readItems(type) {
+        const keys = (await store.keys()).filter(key => key.startsWith(`${type}:`));
+        const items = (await Promise.all(keys.map(key => store.get(key)))).filter(Boolean);
+        return items.sort((a, b) => a.order - b.order || a.createdAt - b.createdAt);
+    }
+
+    async function readItem(type, id) {
+        assertContentType(type);
+        const item = await store.get(itemKey(type, id));
+        if (!item) throw contentError(404, `No ${type} item "${id}".`);
+        return item;
+    }
+
+    async function writeItem(item) {
+        item.updatedAt = now();
+        await store.set(itemKey(item.type, item.id), item);
+        changed(item.type);
+        return { ...item, status: statusOf(item) };
+    }
+
+    function addVersion(item, fields, extra = {}) {
+        const version = (item.versions.length ? item.versions[item.versions.length - 1].version : 0) + 1;
+        item.versions.push({ version, fields, publishedAt: now(), ...extra });
+        if (item.versions.length > MAX_VERSIONS) item.versions.splice(0, item.versions.length - MAX_VERSIONS);
+        item.published = fields;
+        item.publishedVersion = version;
+    }
+
+    async function list(type) {
+        assertContentType(type);
+        return (await readItems(type)).map(item => ({ ...item, status: statusOf(item) }));
+    }
+
+    async function get(type, id) {
+        const item = await readItem(type, id);
+        return { ...item, status: statusOf(item) };
+    }
+
+    async function create(type, fields, { id } = {}) {
+        assertContentType(type);
+        const items = await readItems(type);
+        const item = {
+            id: id || crypto.randomUUID(),
+            type,
+            order: items.length ? items[items.length - 1].order + 1 : 0,
+            draft: validateFields(type, fields),
+            published: null,
+            publishedVersion: null,
+            versions: [],
+            createdAt: now()
+        };
+        return writeItem(item);
+    }
+
+    async function update(type, id, fields) {
+        const item = await readItem(type, id);
+        item.draft = validateFields(type, { ...item.draft, ...fields });
+        return writeItem(item);
+    }
+
+    async function publish(type, id) {
+        const item = await readItem(type, id);
+        if (statusOf(item) === 'published') return { ...item, status: 'published' };
+        addVersion(item, item.draft);
+        return writeItem(item);
+    }
+
+    // Takes the item off the menus; the draft and the history are kept
+    async function unpublish(type, id) {
+        const item = await readItem(type, id);
+        item.published = null;
+        item.publishedVersion = null;
+        return writeItem(item);
+    }
+
+    // Republishes an old version as a new one, so the history stays linear
+    async function rollback(type, id, version) {
+        const item = await readItem(type, id);
+        const target = item.versions.find(entry => entry.version === Number(version));
+        if (!target) throw contentError(404, `${type} item "${id}" has no version ${version}.`);
+        item.draft = target.fields;
+        addVersion(item, target.fields, { rolledBackFrom: target.version });
+        return writeItem(item);
+    }
+
+    // `ids` lists the type's items in their new order; items left out go last
+    async function reorder(type, ids) {
+        assertContentType(type);
+        if (!Array.isArray(ids)) throw contentError(400, 'Expected "ids" to be an array.');
+        const items = await readItems(type);
+        const current = items.map(item => item.id);
+        const position = id => (ids.includes(id) ? ids.indexOf(id) : ids.length + current.indexOf(id));
+        const unknown = ids.filter(id => !items.some(item => item.id === id));
+        if (unknown.length) throw contentError(400, `Unknown ${type} items: ${unknown.join(', ')}.`);
+        const reordered = items.sort((a, b) => position(a.id) - position(b.id));
+        for (const [index, item] of reordered.entries()) {
+            item.order = index;
+            await writeItem(item);
+        }
+        return list(type);
+    }
+
+    async function remove(type, id) {
+        await readItem(type, id);
+        await store.delete(itemKey(type, id));
+        changed(type);
+    }
+
+    // What the menus show: published items in order, with `id`
+    async function listPublished(type) {
+        assertContentType(type);
+        const cached = publishedCache.get(type);
+        if (cached && cached.expiresAt > now()) return cached.items;
+        const changesBefore = changes;
+        const items = (await readItems(type))
+            .filter(item => item.published)
+            .map(item => ({ id: item.id, ...item.published }));
+        if (cacheMs > 0 && changes === changesBefore) publishedCache.set(type, { items, expiresAt: now() + cacheMs });
+        return items;
+    }
+
+    // Publishes the built-in content for types that have never had any. The
+    // marker keeps a type that was emptied on purpose from coming back, and
+    // fixed ids make concurrent first starts write the same items.
+    async function seed(defaults = DEFAULT_CONTENT) {
+        for (const [type, entries] of Object.entries(defaults)) {
+            if (await store.get(`seeded:${type}`)) continue;
+            if ((await readItems(type)).length === 0) {
+                for (const [index, fields] of entries.entries()) {
+                    const item = await create(type, fields, { id: `default-${index + 1}` });
+                    await publish(type, item.id);
+                }
+            }
+            await store.set(`seeded:${type}`, true);
+        }
+    }
+
+    return { list, get, create, update, publish, unpublish, rollback, reorder, remove, listPublished, seed };
+}
+
+module.exports = { createContentService, localize, isContentType, validateFields, CONTENT_TYPES, FACILITY_KINDS, DEFAULT_CONTENT };
@@ -0,0 +1,52 @@
+const { createOutbox } = require('./outbox');
+const { createTranslator } = require('./i18n');
+const { withinBudget } = require('./ai');
+const { log } = require('./logger');
+
+// --- Gemini results that miss the USSD hop ---
+// run() waits up to budgetMs for an analysis. If it takes longer the hop ends
+// and the analysis goes into a durable outbox; its result is sent by SMS (and
+// kept in the caller's history) as soon as it arrives in this instance. On
+// serverless platforms the instance may be frozen once the response is sent,
+// so the "ai-deferred" job also flushes the outbox: it runs the analysis
+// again, which the AI cache (lib/ai.js) answers at once if the first call
+// finished, and delivers whatever is still queued.
+//
+// `tasks` maps a task name to { run(input, lang), toSms(result, input, t) };
+// toSms may return null for nothing to send. The task name is also the
+// history entry type.
+
+function createDeferredAi({ store, tasks, history, sendSms, budgetMs = 0, maxAttempts = 3 }) {
+    async function deliver({ task, input, phoneNumber, lang, ip, sessionId }) {
+        const result = await tasks[task].run(input, lang);
+        const body = tasks[task].toSms(result, input, createTranslator(lang));
+        if (!body) return;
+        await history.record(phoneNumber, { type: task, text: body });
+        await sendSms(phoneNumber, body, lang, { ip, sessionId });
+    }
+
+    const outbox = createOutbox({ store, deliver, maxAttempts });
+
+    // Resolves to { value } when the analysis is done within the budget,
+    // otherwise to { deferred: true } once it is queued
+    async function run(task, input, { phoneNumber, lang, ip, sessionId }) {
+        const pending = tasks[task].run(input, lang);
+        const outcome = await withinBudget(pending, budgetMs);
+        if (outcome.done) return { value: outcome.value };
+
+        await outbox.enqueue({ task, input, phoneNumber, lang, ip, sessionId });
+        pending
+            .then(() => outbox.flush())
+            .catch(error => log.error('Error sending deferred AI result by SMS.', { task, error }));
+        return { deferred: true };
+    }
+
+    // Drops analyses still waiting for this number, e.g. when erasing their data
+    function forget(phoneNumber) {
+        return outbox.rewrite(item => (item.phoneNumber === phoneNumber ? null : item));
+    }
+
+    return { run, forget, flush: outbox.flush, list: outbox.list };
+}
+
+module.exports = { createDeferredAi };
@@ -0,0 +1,224 @@
+const { validateFields } = require('./content');
+
+// --- Health facilities and pharmacies ---
+// Facilities are content items of type "facilities" (lib/content), so they
+// get drafts, publishing and a history like the other menu content. This
+// module reads a whole dataset from CSV or GeoJSON, imports it, and formats
+// a facility for the USSD screen and the SMS.
+//
+// CSV: a header row, then one facility per row. Columns (English or Portuguese
+// names): name/nome, kind/tipo (saude or farmacia), municipality/municipio,
+// bairro, services/servicos, hours/horario, phone/telefone,
+// latitude/lat, longitude/lng/lon.
+// GeoJSON: a FeatureCollection of Point features with the same properties;
+// coordinates come from the geometry.
+
+const COLUMN_ALIASES = {
+    name: ['name', 'nome'],
+    kind: ['kind', 'tipo', 'type'],
+    municipality: ['municipality', 'municipio'],
+    bairro: ['bairro', 'neighbourhood', 'neighborhood'],
+    services: ['services', 'servicos'],
+    hours: ['hours', 'horario'],
+    phone: ['phone', 'telefone', 'tel'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng', 'lon', 'long']
+};
+
+// Dataset spellings of the two kinds -> FACILITY_KINDS
+const KIND_ALIASES = {
+    saude: ['saude', 'hospital', 'centro', 'centro de saude', 'posto', 'posto de saude', 'clinica', 'health'],
+    farmacia: ['farmacia', 'pharmacy']
+};
+
+const MAX_IMPORT_ERRORS = 10;
+
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function importError(message, details) {
+    const error = new Error(message);
+    error.status = 400;
+    if (details) error.details = details;
+    return error;
+}
+
+// RFC 4180: quoted fields may contain commas, line breaks and "" for a quote.
+// Semicolons are accepted as the separator too (spreadsheets in pt locales).
+function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function canonicalColumn(header) {
+    const wanted = fold(header);
+    return Object.keys(COLUMN_ALIASES).find(column => COLUMN_ALIASES[column].includes(wanted)) || null;
+}
+
+function canonicalKind(kind) {
+    const wanted = fold(kind);
+    return Object.keys(KIND_ALIASES).find(name => KIND_ALIASES[name].includes(wanted)) || String(kind || '').trim();
+}
+
+// Maps a record with dataset column names onto facility fields
+function toFields(record) {
+    const fields = {};
+    Object.entries(record).forEach(([key, value]) => {
+        const column = canonicalColumn(key);
+        if (column && value !== undefined && value !== null) fields[column] = typeof value === 'string' ? value.trim() : value;
+    });
+    if (fields.kind !== undefined) fields.kind = canonicalKind(fields.kind);
+    return fields;
+}
+
+function recordsFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw importError('The CSV file is empty.');
+    if (!header.some(cell => canonicalColumn(cell) === 'name')) {
+        throw importError('The CSV header needs at least a "name" (or "nome") column.');
+    }
+    return rows.map(cells => Object.fromEntries(header.map((column, index) => [column, cells[index]])));
+}
+
+function recordsFromGeoJson(geojson) {
+    const collection = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        throw importError('Expected a GeoJSON FeatureCollection.');
+    }
+    return collection.features.map(feature => {
+        const record = { ...(feature && feature.properties) };
+        const geometry = feature && feature.geometry;
+        if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+            [record.longitude, record.latitude] = geometry.coordinates;
+        }
+        return record;
+    });
+}
+
+// Reads a dataset into validated facility fields, or throws a 400 listing the
+// first bad rows (counted from 1, after the CSV header) so nothing is half imported
+function parseFacilityDataset(data, format) {
+    let records;
+    try {
+        records = format === 'csv' ? recordsFromCsv(data) : recordsFromGeoJson(data);
+    } catch (error) {
+        if (error.status) throw error;
+        throw importError(`Could not read the ${format === 'csv' ? 'CSV' : 'GeoJSON'} data: ${error.message}`);
+    }
+    if (records.length === 0) throw importError('The dataset has no facilities.');
+
+    const facilities = [];
+    const errors = [];
+    records.forEach((record, index) => {
+        try {
+            facilities.push(validateFields('facilities', toFields(record)));
+        } catch (error) {
+            errors.push({ row: index + 1, error: error.message });
+        }
+    });
+    if (errors.length > 0) {
+        throw importError(`${errors.length} of ${records.length} facilities are invalid; nothing was imported.`, errors.slice(0, MAX_IMPORT_ERRORS));
+    }
+    return facilities;
+}
+
+const facilityKey = fields => `${fold(fields.name)}|${fold(fields.municipality)}`;
+
+// Brings the published facilities in line with the dataset. Facilities are
+// matched by name and municipality, so existing ones keep their history.
+// With `prune`, published facilities missing from the dataset are unpublished.
+async function importFacilities(content, facilities, { prune = false } = {}) {
+    const existing = new Map((await content.list('facilities')).map(item => [facilityKey(item.draft), item]));
+    const summary = { created: 0, updated: 0, unchanged: 0, unpublished: 0 };
+    const seen = new Set();
+
+    for (const fields of facilities) {
+        const key = facilityKey(fields);
+        if (seen.has(key)) continue; // the first row wins over repeats in the same file
+        seen.add(key);
+        const item = existing.get(key);
+        if (!item) {
+            const created = await content.create('facilities', fields);
+            await content.publish('facilities', created.id);
+            summary.created++;
+        } else if (item.published && JSON.stringify(item.published) === JSON.stringify(fields)) {
+            summary.unchanged++;
+        } else {
+            await content.update('facilities', item.id, Object.fromEntries(
+                // Clear optional fields the dataset no longer has
+                Object.keys({ ...item.draft, ...fields }).map(name => [name, fields[name] === undefined ? '' : fields[name]])
+            ));
+            await content.publish('facilities', item.id);
+            summary.updated++;
+        }
+    }
+
+    if (prune) {
+        for (const [key, item] of existing) {
+            if (!seen.has(key) && item.published) {
+                await content.unpublish('facilities', item.id);
+                summary.unpublished++;
+            }
+        }
+    }
+    return summary;
+}
+
+function mapLink({ latitude, longitude }) {
+    return latitude === undefined ? null : `https://maps.google.com/?q=${latitude},${longitude}`;
+}
+
+// Details for the USSD screen; the SMS adds the map link when there are coordinates
+function formatFacility(facility, t, { withMap = false } = {}) {
+    const lines = [facility.name, t('facilities.location', { bairro: facility.bairro, municipality: facility.municipality })];
+    if (facility.services) lines.push(t('facilities.services', { services: facility.services }));
+    if (facility.hours) lines.push(t('facilities.hours', { hours: facility.hours }));
+    if (facility.phone) lines.push(t('facilities.phone', { phone: facility.phone }));
+    const link = withMap && mapLink(facility);
+    if (link) lines.push(t('facilities.map', { url: link }));
+    return lines.join('\n');
+}
+
+// Distinct values of `field`, in dataset order
+function distinct(facilities, field) {
+    return [...new Set(facilities.map(facility => facility[field]))];
+}
+
+module.exports = { parseCsv, parseFacilityDataset, importFacilities, formatFacility, distinct };
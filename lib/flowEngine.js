@@ -0,0 +1,178 @@
+// --- Declarative USSD flow engine ---
+// Each screen is plain data:
+//
+//   {
+//     prompt: 'Escolha o nível de risco:' | (ctx) => string,
+//     options: [{ label, value, next, handler }] | (ctx) => [...],  // numbered 1..n; label may be (ctx) => string
+//     validate: (input, ctx) => errorMessage | null,                 // free-text screens only
+//     handler: async (ctx, input, option) => result,
+//     next: 'screenId' | (ctx, input, option) => 'screenId'
+//   }
+//
+// A handler may return { end: 'text' } to close the dialog or { next: 'screenId' }
+// to jump somewhere other than the screen's default `next`. Every screen except
+// the root accepts "0" (back) and "00" (main menu), and invalid input re-renders
+// the same screen with a notice instead of ending the session. The engine's
+// own texts come from `translate(ctx, key)` when given (keys: navigation,
+// invalidOption, emptyInput, more).
+//
+// Replies longer than one USSD page (`limits`, see lib/pagination.js) are
+// split into pages: "99" shows the next page and "0" the previous one. The
+// remaining pages are kept in the session, so even a long `end` text is
+// shown in full before the dialog closes. The navigation line is left out
+// when there is no room for it ("0" and "00" work all the same).
+//
+// `track(ctx, event)`, when given, hears what the caller does (see
+// lib/analytics.js): { type: 'screen_entered' | 'invalid_input' |
+// 'session_ended', screen } and { type: 'option_chosen', screen, option }.
+
+const { paginate } = require('./pagination');
+const { log } = require('./logger');
+
+const BACK = '0';
+const HOME = '00';
+const MORE = '99';
+
+const DEFAULT_TEXTS = {
+    navigation: '0. Voltar 00. Menu',
+    invalidOption: 'Resposta errada.',
+    emptyInput: 'Resposta vazia.',
+    more: '99. Mais'
+};
+
+function resolve(valueOrFn, ...args) {
+    return typeof valueOrFn === 'function' ? valueOrFn(...args) : valueOrFn;
+}
+
+function createFlowEngine({ screens, root, translate = (ctx, key) => DEFAULT_TEXTS[key], limits, track = () => {} }) {
+    if (!screens[root]) {
+        throw new Error(`Flow root screen "${root}" is not defined.`);
+    }
+    // Catch typos in static transitions at startup rather than mid-dialog
+    Object.entries(screens).forEach(([id, screen]) => {
+        const targets = [screen.next].concat(Array.isArray(screen.options) ? screen.options.map(option => option.next) : []);
+        targets.filter(target => typeof target === 'string').forEach(target => {
+            if (!screens[target]) throw new Error(`Screen "${id}" points to unknown screen "${target}".`);
+        });
+    });
+
+    // A screen as { text, footer } for paginate(): the notice, prompt and
+    // options, and the navigation line
+    async function layout(screenId, ctx, notice) {
+        const screen = screens[screenId];
+        const lines = [];
+        if (notice) lines.push(notice);
+        lines.push(await resolve(screen.prompt, ctx));
+        const options = (await resolve(screen.options, ctx)) || [];
+        options.forEach((option, index) => lines.push(`${index + 1}. ${resolve(option.label, ctx)}`));
+        return { text: lines.join('\n'), footer: screenId !== root ? translate(ctx, 'navigation') : null };
+    }
+
+    async function render(screenId, ctx, notice) {
+        const { text, footer } = await layout(screenId, ctx, notice);
+        return footer ? `${text}\n${footer}` : text;
+    }
+
+    // Sends the first page of `content` (text, or a screen layout) and keeps
+    // the rest for "99"
+    function reply(ctx, content, end) {
+        const { text, footer } = typeof content === 'string' ? { text: content, footer: null } : content;
+        const pages = paginate(text, { moreLabel: translate(ctx, 'more'), limits, footer });
+        if (pages.length === 1) {
+            delete ctx.session.pages;
+            return { end, text: pages[0] };
+        }
+        ctx.session.pages = { items: pages, index: 0, end };
+        return { end: false, text: pages[0] };
+    }
+
+    async function show(ctx, screenId, notice) {
+        track(ctx, { type: notice ? 'invalid_input' : 'screen_entered', screen: screenId });
+        return reply(ctx, await layout(screenId, ctx, notice), false);
+    }
+
+    // Input while a paged reply is on screen. Returns null when the input is
+    // an answer to the screen itself.
+    function turnPage(ctx, input) {
+        const { session } = ctx;
+        const paging = session.pages;
+        if (input === MORE && paging.index < paging.items.length - 1) {
+            paging.index++;
+            const isLast = paging.index === paging.items.length - 1;
+            if (isLast && paging.end) {
+                delete session.pages;
+                return { end: true, text: paging.items[paging.index] };
+            }
+            return { end: false, text: paging.items[paging.index] };
+        }
+        if (input === BACK && paging.index > 0) {
+            paging.index--;
+            return { end: false, text: paging.items[paging.index] };
+        }
+        // A closing text has nothing to answer; only "00" leaves it early
+        if (paging.end && input !== HOME) {
+            return { end: false, text: paging.items[paging.index] };
+        }
+        delete session.pages;
+        return null;
+    }
+
+    async function start(ctx) {
+        Object.assign(ctx.session, { flow: root, data: {}, history: [] });
+        delete ctx.session.pages;
+        return show(ctx, root);
+    }
+
+    async function handle(ctx, rawInput) {
+        const { session } = ctx;
+        const screen = screens[session.flow];
+        if (!screen) {
+            log.warn('Unexpected session flow. Resetting.', { flow: session.flow });
+            return start(ctx);
+        }
+        session.history = session.history || [];
+
+        const input = (rawInput || '').trim();
+        if (session.pages) {
+            const page = turnPage(ctx, input);
+            if (page) return page;
+        }
+        if (input === HOME) return start(ctx);
+        if (input === BACK && session.flow !== root) {
+            session.flow = session.history.pop() || root;
+            return show(ctx, session.flow);
+        }
+
+        const options = (await resolve(screen.options, ctx)) || [];
+        let option;
+        if (options.length > 0) {
+            option = /^\d+$/.test(input) ? options[parseInt(input, 10) - 1] : undefined;
+            if (!option) return show(ctx, session.flow, translate(ctx, 'invalidOption'));
+            track(ctx, { type: 'option_chosen', screen: session.flow, option: options.indexOf(option) + 1 });
+        } else {
+            const error = screen.validate ? screen.validate(input, ctx) : (input ? null : translate(ctx, 'emptyInput'));
+            if (error) return show(ctx, session.flow, error);
+        }
+
+        const handler = (option && option.handler) || screen.handler;
+        const result = handler ? await handler(ctx, input, option) : undefined;
+        if (result && result.end !== undefined) {
+            track(ctx, { type: 'session_ended', screen: session.flow });
+            return reply(ctx, result.end, true);
+        }
+
+        const nextId = (result && result.next) || (option && option.next) || resolve(screen.next, ctx, input, option);
+        if (!nextId || !screens[nextId]) {
+            throw new Error(`Screen "${session.flow}" has no valid next screen (got "${nextId}").`);
+        }
+        // Reaching the root any other way than "00" still starts a fresh stack
+        if (nextId === root) return start(ctx);
+        session.history.push(session.flow);
+        session.flow = nextId;
+        return show(ctx, nextId);
+    }
+
+    return { start, handle, render };
+}
+
+module.exports = { createFlowEngine, BACK, HOME, MORE };
@@ -0,0 +1,94 @@
+const { formatSnapshotTime } = require('./mapazzzClient');
+const { createTranslator } = require('./i18n');
+const { log } = require('./logger');
+
+const defaultT = createTranslator('pt');
+
+// --- Helper function to format zones data for USSD ---
+// Lists every matching zone (the flow engine pages long lists) unless `limit`
+// is given, e.g. to keep an SMS short.
+function formatZonesForUSSD(zones, riskLevelFilter, t = defaultT, { limit } = {})
+{
+    // riskLevelFilter is "Alto", "Médio", "Baixo", or null (for "Todas")
+    const riskLevelStringToNumeric = { // Maps USSD input string (lowercase) to API numeric value
+        "alto": 3,
+        "médio": 2,
+        "baixo": 1
+    };
+
+    // Display strings come from the catalog (risk.3 = "Alto", ...)
+    const numericFilter = riskLevelFilter ? riskLevelStringToNumeric[riskLevelFilter.toLowerCase()] : undefined;
+    const noZonesMessage = () => (numericFilter
+        ? t('zones.noneForLevel', { level: t(`risk.${numericFilter}`).toLowerCase() })
+        : t('zones.none'));
+
+    if (!zones || zones.length === 0) {
+        return noZonesMessage();
+    }
+
+    let filteredZones = zones;
+    if (riskLevelFilter) {
+        if (numericFilter !== undefined) {
+            filteredZones = zones.filter(zone => Number(zone.riskLevel) === numericFilter);
+        } else {
+            // Fallback for an unrecognized filter string, though current logic should prevent this.
+            log.warn('Unrecognized risk level filter. Showing no zones.', { riskLevelFilter });
+            filteredZones = [];
+        }
+    }
+
+    if (filteredZones.length === 0) {
+        return noZonesMessage();
+    }
+
+    const messageHeader = (numericFilter ? t('zones.header', { level: t(`risk.${numericFilter}`) }) : t('zones.headerAll')) + '\n';
+    let responseMessage = messageHeader;
+    const zonesToShow = limit ? filteredZones.slice(0, limit) : filteredZones;
+
+    zonesToShow.forEach((zone, index) => {
+        const displayRisk = [1, 2, 3].includes(Number(zone.riskLevel)) ? t(`risk.${Number(zone.riskLevel)}`) : (zone.riskLevel || t('common.notAvailable'));
+        responseMessage += `${index + 1}. ${zone.location || t('zones.unknownLocation')} (${displayRisk})\n`;
+    });
+    if (filteredZones.length > zonesToShow.length) {
+        responseMessage += t('zones.more', { count: filteredZones.length - zonesToShow.length });
+    }
+    return responseMessage.trim();
+}
+
+function formatReportsForUSSD(reports, municipalityFilter, t = defaultT) {
+    // "Outro" and "Todos" both mean the general list
+    const isGeneral = !municipalityFilter || ['outro', 'todos'].includes(municipalityFilter.toLowerCase());
+    if (!reports || reports.length === 0) {
+        return isGeneral ? t('reports.none') : t('reports.noneFor', { municipality: municipalityFilter });
+    }
+    let filteredReports = reports;
+    if (!isGeneral) {
+         filteredReports = reports.filter(report => report.municipality && report.municipality.toLowerCase() === municipalityFilter.toLowerCase());
+    }
+    if (filteredReports.length === 0 && !isGeneral) {
+        return t('reports.noneFor', { municipality: municipalityFilter });
+    }
+
+    let message = t('reports.header', { municipality: isGeneral ? t('reports.general') : municipalityFilter }) + '\n';
+    const reportsToShow = filteredReports.slice(0, 1); // Show one detailed report
+    reportsToShow.forEach((report) => {
+        let desc = report.description || t('reports.noDescription');
+        if (desc.length > 70) desc = desc.substring(0, 67) + "...";
+        message += `${report.title || t('common.notAvailable')}: ${desc} (${t('reports.risk')}: ${report.riskLevel || t('common.notAvailable')})\n`;
+    });
+    if (filteredReports.length > reportsToShow.length) {
+        message += t('reports.more', { count: filteredReports.length - reportsToShow.length });
+    }
+    return message.trim();
+}
+
+// Appends the "dados de HH:MM" marker when a menu is answered from an old snapshot
+function withSnapshotMarker(message, snapshot, t = defaultT) {
+    return snapshot.stale ? `${message}\n${t('data.snapshot', { time: formatSnapshotTime(snapshot.fetchedAt) })}` : message;
+}
+
+module.exports = {
+    formatZonesForUSSD,
+    formatReportsForUSSD,
+    withSnapshotMarker
+};
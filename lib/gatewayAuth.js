@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const net = require('net');
+const { log } = require('./logger');
+
+// --- Gateway origin checks ---
+// Middleware for the /ussd routes, and for the webhooks of SMS providers that
+// don't sign their requests. Each configured check must pass:
+//   allowedIps     addresses or CIDR ranges the gateway calls from, e.g.
+//                  "196.201.214.0/24, 2001:db8::1" (see TRUST_PROXY behind a proxy)
+//   sharedSecret   the gateway signs the raw request body with HMAC-SHA256 and
+//                  sends the hex digest in X-Signature (optionally "sha256=...")
+//   queryToken     the callback URL carries ?token=<queryToken>, for gateways
+//                  that can only be given a URL
+// With none configured every request is accepted, as in development.
+
+const SIGNATURE_HEADER = 'X-Signature';
+
+function createAllowList(entries) {
+    const list = new net.BlockList();
+    entries.forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        if (!net.isIP(address)) throw new Error(`Invalid address "${entry}" in an IP allowlist.`);
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) list.addAddress(address, type);
+        else list.addSubnet(address, Number(prefix), type);
+    });
+    return list;
+}
+
+function isAllowed(list, ip) {
+    // IPv4 clients of a dual-stack server show up as "::ffff:1.2.3.4"
+    const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    if (!net.isIP(address)) return false;
+    return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function signBody(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body || '').digest('hex');
+}
+
+function hasValidSignature(secret, req) {
+    const header = String(req.get(SIGNATURE_HEADER) || '').replace(/^sha256=/i, '');
+    const expected = Buffer.from(signBody(secret, req.rawBody), 'hex');
+    const received = Buffer.from(header, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Compared as digests, so neither the length nor the content leaks through timing
+function sameSecret(received, expected) {
+    const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+    return crypto.timingSafeEqual(digest(received), digest(expected));
+}
+
+function hasValidToken(token, req) {
+    return sameSecret(req.query.token, token);
+}
+
+// For the admin, jobs and metrics routes: "Authorization: Bearer <token>".
+// False when no token is configured.
+function hasBearerToken(token, req) {
+    return Boolean(token) && sameSecret(req.get('Authorization'), `Bearer ${token}`);
+}
+
+// Needs req.rawBody, kept by the body parsers' `verify` hook in lib/app.js.
+// `name` labels the rejections in the logs.
+function createGatewayGuard({ allowedIps = [], sharedSecret, queryToken, name = 'USSD' } = {}) {
+    const allowList = allowedIps.length > 0 ? createAllowList(allowedIps) : null;
+
+    return (req, res, next) => {
+        if (allowList && !isAllowed(allowList, req.ip)) {
+            log.warn(`Rejected ${name} request: address not allowed.`, { ip: req.ip });
+            return res.status(403).send('Forbidden');
+        }
+        if (sharedSecret && !hasValidSignature(sharedSecret, req)) {
+            log.warn(`Rejected ${name} request: bad or missing signature.`, { ip: req.ip });
+            return res.status(403).send('Forbidden');
+        }
+        if (queryToken && !hasValidToken(queryToken, req)) {
+            log.warn(`Rejected ${name} request: bad or missing token.`, { ip: req.ip });
+            return res.status(403).send('Forbidden');
+        }
+        next();
+    };
+}
+
+module.exports = { createGatewayGuard, hasBearerToken, signBody, SIGNATURE_HEADER };
@@ -0,0 +1,37 @@
+const { normalizePhoneNumber } = require('../phone');
+
+// --- Africa's Talking adapter ---
+// Inbound: form or JSON body with sessionId, serviceCode, phoneNumber and
+// `text`, the whole dialog so far joined by "*" ("" on the first hop). Free
+// text may itself contain "*", so the text is also passed on as `dialogText`
+// and the input is taken as what follows the previous hop's text (see
+// inputSince in lib/gateways); the last "*" segment is only a fallback.
+// Outbound: plain text starting with "CON " (keep the session open) or "END ".
+
+module.exports = {
+    name: 'africastalking',
+
+    detect(req) {
+        const body = req.body || {};
+        return typeof body.sessionId === 'string' && 'text' in body && 'serviceCode' in body;
+    },
+
+    parse(req) {
+        const { sessionId, serviceCode, phoneNumber, text } = req.body || {};
+        const history = text || '';
+        return {
+            sessionId,
+            serviceCode,
+            phoneNumber: normalizePhoneNumber(phoneNumber),
+            // Only the last hop matters; earlier answers are already in the session
+            input: history ? history.split('*').pop() : '',
+            dialogText: history,
+            isNewSession: history === ''
+        };
+    },
+
+    render(res, { end, text }) {
+        res.set('Content-Type', 'text/plain');
+        res.send(`${end ? 'END' : 'CON'} ${text}`);
+    }
+};
@@ -0,0 +1,34 @@
+const africasTalking = require('./africasTalking');
+const json = require('./json');
+
+// --- USSD gateway adapters ---
+// Each adapter turns its gateway's request into one internal shape
+//   { sessionId, serviceCode, phoneNumber, input, isNewSession, dialogText? }
+// where `dialogText` is set by gateways that resend the whole dialog on
+// every hop.
+// and renders the internal reply { end, text } back in the gateway's wire
+// format (render(res, reply, request)).
+// To support another aggregator, add a module with name/detect/parse/render
+// and list it here.
+
+// Checked in order by detectGateway; Africa's Talking is the fallback
+const GATEWAYS = [json, africasTalking];
+
+function getGateway(name) {
+    return GATEWAYS.find(gateway => gateway.name === name) || null;
+}
+
+function detectGateway(req) {
+    return GATEWAYS.find(gateway => gateway.detect(req)) || africasTalking;
+}
+
+// The new input in a `dialogText` that extends the previous hop's by
+// "*<input>". Returns `fallback` when there is no previous text or the
+// gateway did not extend it.
+function inputSince(previousText, dialogText, fallback) {
+    if (typeof previousText !== 'string' || !dialogText.startsWith(previousText)) return fallback;
+    if (previousText === '') return dialogText;
+    return dialogText[previousText.length] === '*' ? dialogText.slice(previousText.length + 1) : fallback;
+}
+
+module.exports = { getGateway, detectGateway, inputSince, GATEWAYS };
@@ -0,0 +1,37 @@
+const { normalizePhoneNumber } = require('../phone');
+
+// --- Generic JSON aggregator adapter ---
+// Used by aggregators that send one JSON document per hop with only the
+// latest input, and expect a JSON reply with a continue flag:
+//
+//   -> { "sessionId": "...", "msisdn": "244923000000", "serviceCode": "*123#",
+//        "input": "2", "newSession": false }
+//   <- { "sessionId": "...", "message": "...", "continueSession": true }
+
+function isTrue(value) {
+    return value === true || value === 'true' || value === 1 || value === '1';
+}
+
+module.exports = {
+    name: 'json',
+
+    detect(req) {
+        const body = req.body || {};
+        return Boolean(req.is('application/json')) && 'msisdn' in body && 'sessionId' in body;
+    },
+
+    parse(req) {
+        const { sessionId, msisdn, serviceCode, input, newSession } = req.body || {};
+        return {
+            sessionId: sessionId === undefined || sessionId === null ? sessionId : String(sessionId),
+            serviceCode,
+            phoneNumber: normalizePhoneNumber(msisdn),
+            input: input === undefined || input === null ? '' : String(input),
+            isNewSession: isTrue(newSession)
+        };
+    },
+
+    render(res, { end, text }, request) {
+        res.json({ sessionId: request.sessionId, message: text, continueSession: !end });
+    }
+};
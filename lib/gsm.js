@@ -0,0 +1,83 @@
+// --- GSM 03.38 text measurement ---
+// SMS (and USSD) text travels as GSM-7 septets when every character is in the
+// GSM-7 alphabet, otherwise as UCS-2. A single accented character outside
+// the alphabet ("ã", "ç", "õ", ...) switches the whole message to UCS-2 and
+// cuts a segment from 160 to 70 characters, which is why Portuguese SMS can
+// cost double. measure() reports the encoding and segment count;
+// transliterate() replaces characters outside GSM-7 with close equivalents.
+
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Sent as an escape plus the character, so each one takes two septets
+const GSM7_EXTENSION = '^{}\\[~]|€\f';
+
+const BASIC_SET = new Set(GSM7_BASIC);
+const EXTENSION_SET = new Set(GSM7_EXTENSION);
+
+// Concatenated messages lose room to the 6-octet header in every segment
+const SMS_SEGMENT_LIMITS = {
+    'GSM-7': { single: 160, multi: 153 },
+    'UCS-2': { single: 70, multi: 67 }
+};
+
+// Replacements for characters that are common in Portuguese text but missing
+// from GSM-7; anything else falls back to its unaccented form or "?"
+const TRANSLITERATIONS = {
+    'á': 'a', 'â': 'a', 'ã': 'a', 'Á': 'A', 'À': 'A', 'Â': 'A', 'Ã': 'A',
+    'ç': 'c',
+    'ê': 'e', 'ë': 'e', 'È': 'E', 'Ê': 'E',
+    'í': 'i', 'î': 'i', 'ï': 'i', 'Í': 'I', 'Ì': 'I',
+    'ó': 'o', 'ô': 'o', 'õ': 'o', 'Ó': 'O', 'Ò': 'O', 'Ô': 'O', 'Õ': 'O',
+    'ú': 'u', 'û': 'u', 'Ú': 'U', 'Ù': 'U',
+    'º': 'o', 'ª': 'a',
+    '‘': "'", '’': "'", '“': '"', '”': '"', '«': '"', '»': '"',
+    '–': '-', '—': '-', '…': '...', '\u00a0': ' ', '\t': ' '
+};
+
+function isGsm7(text) {
+    for (const char of text) {
+        if (!BASIC_SET.has(char) && !EXTENSION_SET.has(char)) return false;
+    }
+    return true;
+}
+
+// { encoding: 'GSM-7' | 'UCS-2', units, characters, segments } where units
+// are septets for GSM-7 and 16-bit code units for UCS-2
+function measure(text) {
+    const value = String(text || '');
+    const characters = [...value].length;
+    let encoding = 'GSM-7';
+    let units = 0;
+    for (const char of value) {
+        if (BASIC_SET.has(char)) {
+            units += 1;
+        } else if (EXTENSION_SET.has(char)) {
+            units += 2;
+        } else {
+            encoding = 'UCS-2';
+            break;
+        }
+    }
+    if (encoding === 'UCS-2') units = value.length;
+
+    const limits = SMS_SEGMENT_LIMITS[encoding];
+    const segments = units === 0 ? 0 : units <= limits.single ? 1 : Math.ceil(units / limits.multi);
+    return { encoding, units, characters, segments };
+}
+
+function transliterate(text) {
+    let result = '';
+    for (const char of String(text || '')) {
+        if (BASIC_SET.has(char) || EXTENSION_SET.has(char)) {
+            result += char;
+        } else if (Object.hasOwn(TRANSLITERATIONS, char)) {
+            result += TRANSLITERATIONS[char];
+        } else {
+            const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            result += stripped && isGsm7(stripped) ? stripped : '?';
+        }
+    }
+    return result;
+}
+
+module.exports = { measure, transliterate, isGsm7, SMS_SEGMENT_LIMITS };
@@ -0,0 +1,58 @@
+// --- Per-phone history ---
+// What each number got from the service: malaria analyses, zone-solution
+// suggestions and filed reports, newest first, each with the text that was
+// (or would have been) sent by SMS so it can be shown and re-sent later.
+// Entries older than `retentionMs` are never returned and are deleted by
+// purge(), which runs as a periodic job; erase() wipes a number on request.
+
+const HISTORY_TYPES = ['triage', 'solution', 'report'];
+
+function createHistoryService({ store, retentionMs = 90 * 24 * 60 * 60 * 1000, maxEntries = 20, now = Date.now }) {
+    const isFresh = entry => now() - entry.at < retentionMs;
+
+    async function list(phoneNumber) {
+        if (!phoneNumber) return [];
+        return ((await store.get(phoneNumber)) || []).filter(isFresh);
+    }
+
+    async function record(phoneNumber, { type, text }) {
+        if (!phoneNumber) return null;
+        if (!HISTORY_TYPES.includes(type)) throw new Error(`Unknown history type "${type}".`);
+        const entry = { type, text, at: now() };
+        const entries = [entry, ...await list(phoneNumber)].slice(0, maxEntries);
+        // The whole record also expires once its newest entry is out of retention
+        await store.set(phoneNumber, entries, { ttlMs: retentionMs });
+        return entry;
+    }
+
+    async function erase(phoneNumber) {
+        const existing = await store.get(phoneNumber);
+        await store.delete(phoneNumber);
+        return Boolean(existing);
+    }
+
+    // Drops expired entries everywhere, for backends that don't expire keys themselves
+    async function purge() {
+        await store.sweep();
+        const summary = { checked: 0, removed: 0, deleted: 0 };
+        for (const phoneNumber of await store.keys()) {
+            const entries = await store.get(phoneNumber);
+            if (!entries) continue;
+            summary.checked++;
+            const kept = entries.filter(isFresh);
+            if (kept.length === entries.length) continue;
+            summary.removed += entries.length - kept.length;
+            if (kept.length === 0) {
+                await store.delete(phoneNumber);
+                summary.deleted++;
+            } else {
+                await store.set(phoneNumber, kept, { ttlMs: retentionMs - (now() - kept[0].at) });
+            }
+        }
+        return summary;
+    }
+
+    return { list, record, erase, purge };
+}
+
+module.exports = { createHistoryService, HISTORY_TYPES };
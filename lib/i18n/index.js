@@ -0,0 +1,48 @@
+const { log } = require('../logger');
+
+// --- Message catalogs ---
+// One flat catalog per language ({ 'menu.zones': 'Zonas de risco', ... }).
+// Lookups fall back to Portuguese, then to the key itself, so a missing
+// translation never breaks a screen.
+
+const CATALOGS = {
+    pt: require('./pt'),
+    en: require('./en'),
+    kmb: require('./kmb')
+};
+
+const DEFAULT_LANGUAGE = 'pt';
+
+// Shown in each language's own name, so anyone can find theirs. A `partial`
+// catalog still shows much of its text in Portuguese, and says so in the
+// language menu.
+const LANGUAGES = [
+    { code: 'pt', name: 'Português' },
+    { code: 'en', name: 'English' },
+    { code: 'kmb', name: 'Kimbundu', partial: true }
+];
+
+function isSupportedLanguage(lang) {
+    return Object.hasOwn(CATALOGS, lang);
+}
+
+function translate(lang, key, params = {}) {
+    const catalog = isSupportedLanguage(lang) ? CATALOGS[lang] : CATALOGS[DEFAULT_LANGUAGE];
+    let template = catalog[key];
+    if (template === undefined) template = CATALOGS[DEFAULT_LANGUAGE][key];
+    if (template === undefined) {
+        log.warn('Missing translation.', { key });
+        return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Returns t(key, params) bound to one language
+function createTranslator(lang) {
+    const language = isSupportedLanguage(lang) ? lang : DEFAULT_LANGUAGE;
+    const t = (key, params) => translate(language, key, params);
+    t.lang = language;
+    return t;
+}
+
+module.exports = { CATALOGS, LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage, translate, createTranslator };
@@ -0,0 +1,17 @@
+// Kimbundu. Holds only entries that have been translated: every other key
+// falls back to Portuguese (widely understood by Kimbundu speakers in Luanda),
+// so untranslated text is never copied in here. Menus, triage questions and
+// results still need a native speaker's translation before this catalog is
+// complete; add them as they are reviewed. No key may be missing from pt.js
+// (checked by test/i18n.test.js).
+module.exports = {
+    'flow.navigation': '0. Vutuka 00. Menu',
+    'flow.more': '99. Dingi',
+
+    'common.yes': 'Ehe',
+    'common.no': 'Kana',
+
+    'menu.welcome': 'Kiambote! mapaZZZ',
+
+    'report.thanks': 'Ngasakidila!'
+};
@@ -0,0 +1,345 @@
+const { formatZonesForUSSD, formatReportsForUSSD, withSnapshotMarker } = require('./formatters');
+const { REPORT_CATEGORIES } = require('./reports');
+const { createTranslator } = require('./i18n');
+const { isStopKeyword } = require('./alerts');
+const { TRIAGE_QUESTIONS, scoreTriage, triageMessage } = require('./triage');
+const { localize } = require('./content');
+const { log } = require('./logger');
+
+// --- Keyword commands over SMS and WhatsApp ---
+// For people who would rather text than dial. A message starts with a
+// command, optionally followed by its argument:
+//
+//   ZONAS ALTO                  risk zones, optionally by level
+//   REPORTAGENS VIANA           recent reports, optionally by municipality
+//   REPORT VIANA                file a report (asks the type and description)
+//   SINTOMAS febre e calafrios  malaria triage from free text
+//   SOLUCAO lixo acumulado      suggestion for a neighbourhood problem
+//   DICA MALARIA                a health tip by topic
+//   PARAR                       cancel risk alerts
+//
+// English commands (ZONES, REPORTS, SYMPTOMS, SOLUTION, TIP, STOP) work too,
+// and accents and case don't matter. The commands reuse the services behind
+// the USSD menus. When a command needs more information, the pending
+// question is kept per sender in `store`. The next message answers it,
+// unless it starts a new command. Anything else gets the help text.
+
+const COMMANDS = {
+    zones: ['ZONAS', 'ZONA', 'ZONES'],
+    reports: ['REPORTAGENS', 'REPORTS'],
+    report: ['REPORT', 'REPORTAR'],
+    symptoms: ['SINTOMAS', 'SYMPTOMS'],
+    solution: ['SOLUCAO', 'SOLUCOES', 'SOLUTION'],
+    tip: ['DICA', 'DICAS', 'TIP', 'TIPS'],
+    help: ['AJUDA', 'HELP', 'MENU']
+};
+
+// Level words -> the filter values of mapazzz.getZones()
+const RISK_LEVELS = {
+    ALTO: 'Alto', HIGH: 'Alto',
+    MEDIO: 'Médio', MEDIUM: 'Médio',
+    BAIXO: 'Baixo', LOW: 'Baixo',
+    TODAS: null, TODOS: null, ALL: null
+};
+
+// Free-text fragments (accent-free, lower case) that answer a triage question
+const SYMPTOM_KEYWORDS = {
+    dangerSigns: ['convuls', 'ataque', 'sonolen', 'nao acorda', 'nao consegue beber', 'vomita tudo', 'falta de ar', 'desmai', 'seizure', 'unconscious', 'breath'],
+    fever: ['febre', 'fever'],
+    chills: ['calafrio', 'arrepio', 'suor', 'chill', 'sweat'],
+    headache: ['cabeca', 'dores', 'dor no corpo', 'headache', 'aches'],
+    vomiting: ['vomit', 'nausea', 'enjoo'],
+    childUnder5: ['crianca', 'bebe', 'child', 'baby'],
+    pregnant: ['gravida', 'pregnan'],
+    recentTravel: ['viaj', 'sem mosquiteiro', 'travel']
+};
+// Asked by message when the text doesn't say: they decide urgency and advice
+const FOLLOW_UP_QUESTIONS = ['dangerSigns', 'fever', 'childUnder5', 'pregnant'];
+
+const YES = ['SIM', 'S', 'YES', 'Y', '1'];
+const NO = ['NAO', 'N', 'NO', '2'];
+
+const MAX_REPORT_DESCRIPTION_LENGTH = 140;
+// A text reply can be longer than a USSD screen, but stays a few segments
+const MAX_MESSAGE_ZONES = 10;
+
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+function parseCommand(text) {
+    const [word = ''] = fold(text).split(/\s+/);
+    const keyword = word.toUpperCase();
+    const command = Object.keys(COMMANDS).find(name => COMMANDS[name].includes(keyword)) || null;
+    // The argument keeps the sender's accents; only the keyword is folded
+    const argument = command ? String(text).trim().replace(/^\S+\s*/, '') : '';
+    return { command, argument };
+}
+
+function parseYesNo(text) {
+    const answer = fold(text).toUpperCase();
+    if (YES.includes(answer)) return true;
+    if (NO.includes(answer)) return false;
+    return null;
+}
+
+// Reads triage answers out of a description such as "febre há 3 dias e calafrios".
+// A number of days only counts as fever days when the text mentions fever:
+// "tosse há 5 dias" says nothing about fever.
+function parseSymptoms(text) {
+    const folded = fold(text).toLowerCase();
+    const answers = {};
+    Object.entries(SYMPTOM_KEYWORDS).forEach(([id, fragments]) => {
+        if (fragments.some(fragment => folded.includes(fragment))) answers[id] = true;
+    });
+    const days = /(\d+)\s*(dias?|days?)/.exec(folded);
+    if (days && answers.fever) {
+        const question = TRIAGE_QUESTIONS.find(({ id }) => id === 'feverDays');
+        answers.feverDays = Math.min(question.max, Math.max(question.min, Number(days[1])));
+    }
+    return answers;
+}
+
+function numberedList(items) {
+    return items.map((item, index) => `${index + 1}. ${item}`).join('\n');
+}
+
+function createKeywordChannel({ mapazzz, reports, assessMalariaRisk, getZoneSolution, content, alerts, quotas, history, store, ttlMs = 30 * 60 * 1000 }) {
+    async function listZones(ctx, argument) {
+        const word = fold(argument).toUpperCase();
+        if (word && !(word in RISK_LEVELS)) return ctx.t('keywords.zonesUsage');
+        const level = word ? RISK_LEVELS[word] : null;
+        try {
+            const snapshot = await mapazzz.getZones(level);
+            return withSnapshotMarker(formatZonesForUSSD(snapshot.items, level, ctx.t, { limit: MAX_MESSAGE_ZONES }), snapshot, ctx.t);
+        } catch (error) {
+            return ctx.t('zones.unavailable');
+        }
+    }
+
+    async function listReports(ctx, argument) {
+        const municipality = argument ? await canonicalMunicipality(argument) : null;
+        try {
+            const snapshot = await mapazzz.getReports(municipality);
+            return withSnapshotMarker(formatReportsForUSSD(snapshot.items, municipality, ctx.t), snapshot, ctx.t);
+        } catch (error) {
+            return ctx.t('reports.unavailable');
+        }
+    }
+
+    // Spells a published municipality the way the menus do; others stay as typed
+    async function canonicalMunicipality(name) {
+        const wanted = fold(name).toLowerCase();
+        const municipalities = await content.listPublished('municipalities');
+        const match = municipalities.find(municipality => fold(municipality.name).toLowerCase() === wanted);
+        return match ? match.name : name.trim();
+    }
+
+    // Each step of a multi-message command: (ctx, conversation, text) -> reply.
+    // A step either finishes (clearing the conversation) or asks again.
+    const steps = {
+        async reportMunicipality(ctx, conversation, text) {
+            if (text.length < 2 || text.length > 40) return ctx.t('report.invalidMunicipality');
+            conversation.municipality = await canonicalMunicipality(text);
+            return askReportCategory(ctx, conversation);
+        },
+
+        async reportCategory(ctx, conversation, text) {
+            const category = REPORT_CATEGORIES[Number(text) - 1];
+            if (!/^\d+$/.test(text) || !category) return `${ctx.t('keywords.chooseNumber')}\n${categoryList(ctx)}`;
+            conversation.category = category;
+            conversation.step = 'reportDescription';
+            return ctx.t('report.descriptionPrompt', { max: MAX_REPORT_DESCRIPTION_LENGTH });
+        },
+
+        async reportDescription(ctx, conversation, text) {
+            if (!text) return ctx.t('report.descriptionEmpty');
+            if (text.length > MAX_REPORT_DESCRIPTION_LENGTH) {
+                return ctx.t('report.descriptionTooLong', { max: MAX_REPORT_DESCRIPTION_LENGTH });
+            }
+            const { category, municipality } = conversation;
+            const receipt = await reports.fileReport(
+                { category, municipality, description: text, phoneNumber: ctx.phoneNumber, lang: ctx.lang, source: ctx.channel },
+                { smsReceipt: false }
+            );
+            conversation.done = true;
+            const status = receipt.queued ? ctx.t('report.queued') : ctx.t('report.thanks');
+            return `${ctx.t('report.registered', { reference: receipt.reference })}\n${status}`;
+        },
+
+        async triageQuestion(ctx, conversation, text) {
+            const answer = parseYesNo(text);
+            if (answer === null) return `${ctx.t('keywords.yesNo')}\n${ctx.t(`triage.${conversation.question}`)}`;
+            conversation.answers[conversation.question] = answer;
+            return continueTriage(ctx, conversation);
+        },
+
+        async solution(ctx, conversation, text) {
+            conversation.done = true;
+            return suggestSolution(ctx, text);
+        },
+
+        async tip(ctx, conversation, text) {
+            const tips = await content.listPublished('tips');
+            const tip = /^\d+$/.test(text) ? tips[Number(text) - 1] : findTip(ctx, tips, text);
+            if (!tip) return `${ctx.t('keywords.chooseNumber')}\n${tipList(ctx, tips)}`;
+            conversation.done = true;
+            return localize(tip.text, ctx.lang);
+        }
+    };
+
+    function categoryList(ctx) {
+        return numberedList(REPORT_CATEGORIES.map(category => ctx.t(`report.category.${category}`)));
+    }
+
+    function askReportCategory(ctx, conversation) {
+        conversation.step = 'reportCategory';
+        return `${ctx.t('report.categoryPrompt')}\n${categoryList(ctx)}`;
+    }
+
+    async function startReport(ctx, conversation, argument) {
+        if (!argument) {
+            conversation.step = 'reportMunicipality';
+            return ctx.t('report.municipalityInput');
+        }
+        return steps.reportMunicipality(ctx, conversation, argument);
+    }
+
+    // Asks the follow-up questions the description left open, one per message,
+    // then scores the answers like the USSD triage (unmentioned symptoms count as "no")
+    async function continueTriage(ctx, conversation) {
+        const { answers } = conversation;
+        const open = answers.dangerSigns ? [] : FOLLOW_UP_QUESTIONS.filter(id =>
+            answers[id] === undefined && !(id === 'pregnant' && answers.childUnder5));
+        if (open.length > 0) {
+            conversation.step = 'triageQuestion';
+            conversation.question = open[0];
+            return `${ctx.t(`triage.${open[0]}`)} ${ctx.t('keywords.yesNo')}`;
+        }
+
+        conversation.done = true;
+        const result = answers.dangerSigns ? ctx.t('triage.urgent') : await scoreAnswers(ctx, answers);
+        // Kept in the caller's history like a USSD triage (lib/history.js)
+        await history.record(ctx.phoneNumber, { type: 'triage', text: ctx.t('triage.sms', { result }) });
+        return result;
+    }
+
+    async function scoreAnswers(ctx, answers) {
+        const complete = Object.fromEntries(TRIAGE_QUESTIONS
+            .filter(question => question.type === 'yesno')
+            .map(question => [question.id, Boolean(answers[question.id])]));
+        if (answers.feverDays) complete.feverDays = answers.feverDays;
+        // Over the AI quota the rules still answer, as in the USSD triage
+        const assessment = await quotas.take('ai', { phoneNumber: ctx.phoneNumber, ip: ctx.ip })
+            ? await assessMalariaRisk(complete, ctx.lang)
+            : scoreTriage(complete);
+        return triageMessage(ctx.t, assessment, complete);
+    }
+
+    async function startTriage(ctx, conversation, argument) {
+        if (!argument) return ctx.t('keywords.symptomsUsage');
+        conversation.answers = parseSymptoms(argument);
+        return continueTriage(ctx, conversation);
+    }
+
+    async function suggestSolution(ctx, problem) {
+        if (!await quotas.take('ai', { phoneNumber: ctx.phoneNumber, ip: ctx.ip })) return ctx.t('quota.ai');
+        const solution = await getZoneSolution(problem, ctx.lang);
+        if (!solution.ok) return solution.text;
+        await history.record(ctx.phoneNumber, { type: 'solution', text: ctx.t('solution.sms', { result: solution.text }) });
+        return ctx.t('solution.result', { result: solution.text });
+    }
+
+    function tipList(ctx, tips) {
+        return `${ctx.t('tips.prompt')}\n${numberedList(tips.map(tip => localize(tip.label, ctx.lang)))}`;
+    }
+
+    // A tip whose title shares a word (3+ letters) with the topic
+    function findTip(ctx, tips, topic) {
+        const words = fold(topic).toLowerCase().split(/\W+/).filter(word => word.length >= 3);
+        return tips.find(tip => {
+            const label = fold(localize(tip.label, ctx.lang)).toLowerCase();
+            return words.some(word => label.includes(word));
+        });
+    }
+
+    async function startTip(ctx, conversation, argument) {
+        const tips = await content.listPublished('tips');
+        if (tips.length === 0) {
+            conversation.done = true;
+            return ctx.t('tips.none');
+        }
+        const tip = argument ? findTip(ctx, tips, argument) : null;
+        if (tip) {
+            conversation.done = true;
+            return localize(tip.text, ctx.lang);
+        }
+        conversation.step = 'tip';
+        return tipList(ctx, tips);
+    }
+
+    async function runCommand(ctx, conversation, command, argument) {
+        switch (command) {
+            case 'zones':
+                conversation.done = true;
+                return listZones(ctx, argument);
+            case 'reports':
+                conversation.done = true;
+                return listReports(ctx, argument);
+            case 'report':
+                return startReport(ctx, conversation, argument);
+            case 'symptoms':
+                return startTriage(ctx, conversation, argument);
+            case 'solution':
+                if (!argument) {
+                    conversation.step = 'solution';
+                    return ctx.t('solution.prompt');
+                }
+                conversation.done = true;
+                return suggestSolution(ctx, argument);
+            case 'tip':
+                return startTip(ctx, conversation, argument);
+            default:
+                conversation.done = true;
+                return ctx.t('keywords.help');
+        }
+    }
+
+    // Drops a pending question of this number, on both channels
+    async function forget(phoneNumber) {
+        await Promise.all(['sms', 'whatsapp'].map(channel => store.delete(`${channel}:${phoneNumber}`)));
+    }
+
+    // Resolves to the reply text for one incoming message. `sender` keys the
+    // conversation (e.g. "whatsapp:+2449..."), `channel` is "sms" or "whatsapp",
+    // `ip` is the webhook caller's, for the per-IP AI quota.
+    async function handle({ sender, phoneNumber, channel = 'sms', text, lang, ip }) {
+        const ctx = { phoneNumber, channel, lang, ip, t: createTranslator(lang) };
+        const message = String(text || '').trim();
+
+        if (isStopKeyword(message)) {
+            await store.delete(sender);
+            const wasSubscribed = await alerts.unsubscribe(phoneNumber);
+            if (wasSubscribed) log.info('Risk alerts cancelled by message.', { channel, phoneNumber });
+            return ctx.t(wasSubscribed ? 'alerts.stopReply' : 'alerts.notActive');
+        }
+
+        const { command, argument } = parseCommand(message);
+        const pending = command ? null : await store.get(sender);
+        const conversation = pending || {};
+        const reply = pending
+            ? await steps[pending.step](ctx, conversation, message)
+            : await runCommand(ctx, conversation, command, argument);
+
+        if (conversation.done || !conversation.step) {
+            await store.delete(sender);
+        } else {
+            await store.set(sender, conversation, { ttlMs });
+        }
+        return reply;
+    }
+
+    return { handle, forget };
+}
+
+module.exports = { createKeywordChannel, parseCommand, parseSymptoms };
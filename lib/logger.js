@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// --- Structured logging ---
+// One JSON object per line: { time, level, msg, ...fields }. Logs leave the
+// service (hosting dashboards, log drains), so personal data never goes in
+// as typed:
+//   - phone numbers (fields in PHONE_FIELDS, and number-like runs in `msg`
+//     and error messages) become a keyed hash such as "ph_3f9a1c0b7d2e",
+//     stable for one LOG_HASH_SECRET so one caller's lines can be followed;
+//   - free text that may describe someone's health or situation (fields in
+//     TEXT_FIELDS) is replaced by its length.
+// Modules log through the shared `log`; createApp() sets the level and the
+// hash secret with configureLogger().
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const PHONE_FIELDS = ['phoneNumber', 'phone', 'to', 'from', 'sender'];
+const TEXT_FIELDS = ['input', 'text', 'body', 'description', 'problem', 'symptoms', 'answers'];
+
+// International or local numbers, with or without "+", e.g. +244923000001
+const PHONE_PATTERN = /\+?\b\d{9,15}\b/g;
+
+function hashPhone(value, secret) {
+    const digits = String(value).replace(/[^\d]/g, '');
+    return `ph_${crypto.createHmac('sha256', secret).update(digits).digest('hex').slice(0, 12)}`;
+}
+
+function serializeError(error, secret, withStack) {
+    const serialized = { name: error.name, message: scrubText(error.message, secret) };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.status !== undefined) serialized.status = error.status;
+    if (withStack && error.stack) serialized.stack = scrubText(error.stack, secret);
+    return serialized;
+}
+
+function scrubText(text, secret) {
+    return String(text).replace(PHONE_PATTERN, match => hashPhone(match, secret));
+}
+
+function redact(fields, secret, withStack) {
+    const safe = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined) return;
+        if (value instanceof Error) {
+            safe[key] = serializeError(value, secret, withStack);
+        } else if (value === null || value === '') {
+            safe[key] = value;
+        } else if (PHONE_FIELDS.includes(key)) {
+            safe[key] = hashPhone(value, secret);
+        } else if (TEXT_FIELDS.includes(key)) {
+            safe[key] = `[redacted ${typeof value === 'string' ? value.length : JSON.stringify(value).length} chars]`;
+        } else if (typeof value === 'string') {
+            safe[key] = scrubText(value, secret);
+        } else {
+            safe[key] = value;
+        }
+    });
+    return safe;
+}
+
+function defaultWrite(level, line) {
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+// `settings` is shared with child loggers, so configure() reaches them too
+function createLogger({ level = 'info', hashSecret = crypto.randomBytes(32).toString('hex'), write = defaultWrite, now = Date.now } = {}) {
+    const settings = { level, hashSecret, write, now };
+
+    function build(context) {
+        function emit(entryLevel, msg, fields = {}) {
+            if (LEVELS[entryLevel] < (LEVELS[settings.level] || LEVELS.info)) return;
+            const entry = {
+                time: new Date(settings.now()).toISOString(),
+                level: entryLevel,
+                msg: scrubText(msg, settings.hashSecret),
+                ...redact({ ...context, ...fields }, settings.hashSecret, entryLevel === 'error')
+            };
+            settings.write(entryLevel, JSON.stringify(entry));
+        }
+
+        return {
+            debug: (msg, fields) => emit('debug', msg, fields),
+            info: (msg, fields) => emit('info', msg, fields),
+            warn: (msg, fields) => emit('warn', msg, fields),
+            error: (msg, fields) => emit('error', msg, fields),
+            // Adds `fields` to every line, e.g. log.child({ sessionId })
+            child: fields => build({ ...context, ...fields })
+        };
+    }
+
+    const logger = build({});
+    logger.configure = changes => {
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value !== undefined) settings[key] = value;
+        });
+    };
+    return logger;
+}
+
+// Without LOG_HASH_SECRET the hashes only match within one process
+const log = createLogger();
+
+function configureLogger({ level, hashSecret } = {}) {
+    if (level !== undefined && !LEVELS[level]) throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}.`);
+    log.configure({ level, hashSecret });
+}
+
+module.exports = { log, createLogger, configureLogger, hashPhone };
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const { log } = require('./logger');
+
+// --- mapaZZZ API client ---
+// Fetches zones and reports from the mapaZZZ API (and submits new reports),
+// keeping the last good response per resource in memory. A fresh snapshot
+// (younger than ttlMs) is served without touching the network. Once it
+// expires we try the API again with a short timeout; if that fails the old
+// snapshot is returned flagged as stale so the USSD menu can still answer
+// within the gateway deadline.
+
+const DEFAULT_BASE_URL = 'https://mapazzz-api.vercel.app/api';
+
+const riskLevelStringToNumeric = { // Maps USSD filter string (lowercase) to API numeric value
+    "alto": 3,
+    "médio": 2,
+    "baixo": 1
+};
+
+// "Outro" and "Todos" in the reports menu both mean "no municipality filter"
+const UNFILTERED_MUNICIPALITIES = ['outro', 'todos'];
+
+// The API has answered with a bare array and with { data: [...] }; accept both,
+// plus the resource-named wrapper ({ zones: [...] }), and reject anything else
+// so a malformed payload never replaces a good cached snapshot.
+function extractList(payload, resource) {
+    if (Array.isArray(payload)) return payload;
+    if (payload && Array.isArray(payload.data)) return payload.data;
+    if (payload && Array.isArray(payload[resource])) return payload[resource];
+    throw new Error(`Unexpected ${resource} payload from mapaZZZ API.`);
+}
+
+function filterZonesByRiskLevel(zones, riskLevelFilter) {
+    if (!riskLevelFilter) return zones;
+    const numericEquivalent = riskLevelStringToNumeric[riskLevelFilter.toLowerCase()];
+    if (numericEquivalent === undefined) return [];
+    return zones.filter(zone => Number(zone.riskLevel) === numericEquivalent);
+}
+
+function filterReportsByMunicipality(reports, municipalityFilter) {
+    if (!municipalityFilter || UNFILTERED_MUNICIPALITIES.includes(municipalityFilter.toLowerCase())) {
+        return reports;
+    }
+    const wanted = municipalityFilter.toLowerCase();
+    return reports.filter(report => report.municipality && report.municipality.toLowerCase() === wanted);
+}
+
+// Formats a snapshot timestamp as HH:MM Luanda time, for the "dados de HH:MM" marker.
+function formatSnapshotTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('pt-PT', {
+        timeZone: 'Africa/Luanda',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    });
+}
+
+function createMapazzzClient(options = {}) {
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const ttlMs = options.ttlMs !== undefined ? options.ttlMs : 60 * 1000;
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : 2500;
+    const http = options.http || axios;
+    const now = options.now || Date.now;
+
+    const cache = new Map(); // resource -> { items, fetchedAt }
+    const inFlight = new Map(); // resource -> pending fetch, shared by concurrent hops
+
+    function fetchResource(resource) {
+        if (inFlight.has(resource)) return inFlight.get(resource);
+
+        const request = http.get(`${baseUrl}/${resource}`, { timeout: timeoutMs })
+            .then(response => {
+                const snapshot = { items: extractList(response.data, resource), fetchedAt: now() };
+                cache.set(resource, snapshot);
+                return snapshot;
+            })
+            .finally(() => inFlight.delete(resource));
+
+        inFlight.set(resource, request);
+        return request;
+    }
+
+    async function getSnapshot(resource) {
+        const cached = cache.get(resource);
+        if (cached && now() - cached.fetchedAt < ttlMs) {
+            return { ...cached, stale: false };
+        }
+        try {
+            const snapshot = await fetchResource(resource);
+            return { ...snapshot, stale: false };
+        } catch (error) {
+            if (cached) {
+                log.warn('mapaZZZ API unavailable. Serving the last snapshot.', { resource, snapshotAt: new Date(cached.fetchedAt).toISOString(), error });
+                return { ...cached, stale: true };
+            }
+            log.error('mapaZZZ API unavailable and no snapshot exists.', { resource, error });
+            throw error;
+        }
+    }
+
+    async function getZones(riskLevelFilter) {
+        const snapshot = await getSnapshot('zones');
+        return { ...snapshot, items: filterZonesByRiskLevel(snapshot.items, riskLevelFilter) };
+    }
+
+    async function getReports(municipalityFilter) {
+        const snapshot = await getSnapshot('reports');
+        return { ...snapshot, items: filterReportsByMunicipality(snapshot.items, municipalityFilter) };
+    }
+
+    // Not cached and not retried here: callers queue the report if this throws
+    async function submitReport(report) {
+        const response = await http.post(`${baseUrl}/reports`, report, { timeout: timeoutMs });
+        return response.data;
+    }
+
+    return { getZones, getReports, submitReport };
+}
+
+module.exports = {
+    createMapazzzClient,
+    formatSnapshotTime,
+    filterZonesByRiskLevel,
+    filterReportsByMunicipality
+};
@@ -0,0 +1,498 @@
+const { formatZonesForUSSD, formatReportsForUSSD, withSnapshotMarker } = require('./formatters');
+const { REPORT_CATEGORIES } = require('./reports');
+const { LANGUAGES } = require('./i18n');
+const { ALL_MUNICIPALITIES, HIGH_RISK } = require('./alerts');
+const { TRIAGE_QUESTIONS, nextQuestion, scoreTriage, adviceKey, triageMessage } = require('./triage');
+const { localize, FACILITY_KINDS } = require('./content');
+const { formatFacility, distinct } = require('./facilities');
+
+// --- USSD screens ---
+// Every screen of the mapaZZZ service, declared for lib/flowEngine.js. The
+// services (mapaZZZ client, SMS, Gemini helpers) are injected so the menus
+// don't depend on how server.js configures them. Fixed text comes from the
+// message catalogs through ctx.t (lib/i18n); health tips, emergency contacts,
+// municipalities and health facilities are published content (lib/content),
+// read on every request so admin edits show up without a restart.
+
+const MAX_REPORT_DESCRIPTION_LENGTH = 140;
+// Entries listed under "Minhas análises e reportagens"
+const MAX_HISTORY_ENTRIES = 5;
+// The USSD list is paged; the SMS copy stays within a couple of segments
+const MAX_SMS_ZONES = 5;
+
+function alertMunicipalityLabel(ctx, municipality) {
+    return municipality === ALL_MUNICIPALITIES ? ctx.t('alerts.allMunicipalities') : municipality;
+}
+
+// "19/10" in Luanda time, for history entries
+function shortDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('pt-PT', { timeZone: 'Africa/Luanda', day: '2-digit', month: '2-digit' });
+}
+
+// Catalog lookup deferred until the screen is rendered for a given caller
+const text = (key, params) => ctx => ctx.t(key, params);
+
+const triageScreenId = question => `triage_${question.id}`;
+
+// Stores an answer and forgets the ones after it, which may no longer apply
+// once the caller has gone back and changed their mind
+function recordTriageAnswer(data, questionId, value) {
+    const index = TRIAGE_QUESTIONS.findIndex(question => question.id === questionId);
+    const answers = {};
+    TRIAGE_QUESTIONS.slice(0, index).forEach(({ id }) => {
+        if (data.triage && data.triage[id] !== undefined) answers[id] = data.triage[id];
+    });
+    answers[questionId] = value;
+    data.triage = answers;
+    return answers;
+}
+
+// Screen sequences whose drop-off the analytics report follows (lib/analytics.js).
+// Only screens every path through the feature passes.
+const USSD_FUNNELS = {
+    triage: ['menu', ...TRIAGE_QUESTIONS.filter(question => !question.when).map(triageScreenId)],
+    report: ['menu', 'reports_menu', 'report_category_selection', 'report_municipality_selection', 'report_description_input', 'report_confirm'],
+    solution: ['menu', 'zone_problem_input'],
+    facilities: ['menu', 'facilities_kind_selection', 'facilities_municipality_selection', 'facilities_bairro_selection', 'facilities_list'],
+    alerts: ['menu', 'alerts_menu', 'alerts_municipality_selection', 'alerts_threshold_selection']
+};
+
+function createMenus({ mapazzz, sendSms, deferredAi, quotas, reports, preferences, alerts, content, history, eraseCallerData }) {
+    // SMS to the caller count against their quota, and the requesting IP's,
+    // and in the session's analytics
+    const smsOptions = ctx => ({ ip: ctx.ip, sessionId: ctx.sessionId });
+    const smsToCaller = (ctx, body) => sendSms(ctx.phoneNumber, body, ctx.lang, smsOptions(ctx));
+
+    async function takeAiQuota(ctx, task) {
+        if (!await quotas.take('ai', { phoneNumber: ctx.phoneNumber, ip: ctx.ip })) return false;
+        ctx.track({ type: 'ai_called', task });
+        return true;
+    }
+    // Results go into the caller's history as the SMS text, ready to be re-sent
+    const remember = (ctx, type, body) => history.record(ctx.phoneNumber, { type, text: body });
+
+    // A Gemini-backed result within the AI budget as { value }, or { deferred }
+    // with the closing screen when it will follow by SMS (lib/deferredAi.js)
+    async function awaitAi(ctx, task, input) {
+        const result = await deferredAi.run(task, input, { ...smsOptions(ctx), phoneNumber: ctx.phoneNumber, lang: ctx.lang });
+        return result.deferred ? { deferred: ctx.t('ai.deferred') } : result;
+    }
+
+    async function municipalityOptions(extra = {}) {
+        const municipalities = await content.listPublished('municipalities');
+        return municipalities.map(({ name }) => ({ label: name, value: name, ...extra }));
+    }
+
+    async function emergencyContacts(ctx) {
+        const contacts = await content.listPublished('emergency_contacts');
+        if (contacts.length === 0) return ctx.t('emergency.none');
+        return [ctx.t('emergency.header'), ...contacts.map(contact => `${localize(contact.name, ctx.lang)}: ${contact.number}`)].join('\n');
+    }
+
+    async function facilitiesOfKind(ctx) {
+        const facilities = await content.listPublished('facilities');
+        return facilities.filter(facility => facility.kind === ctx.session.data.facilityKind);
+    }
+
+    // Facilities of the chosen kind in session.data.facilityArea ({ municipality, bairro })
+    async function facilitiesInArea(ctx) {
+        const { municipality, bairro } = ctx.session.data.facilityArea || {};
+        return (await facilitiesOfKind(ctx)).filter(facility =>
+            facility.municipality === municipality && (!bairro || facility.bairro === bairro));
+    }
+
+    // After a triage result: straight to the area the caller looked up last
+    // time, if it has health units, otherwise to the municipality list
+    async function offerNearbyFacilities(ctx) {
+        ctx.session.data.facilityKind = 'saude';
+        const { facilityArea } = await preferences.get(ctx.phoneNumber);
+        if (facilityArea) {
+            ctx.session.data.facilityArea = facilityArea;
+            if ((await facilitiesInArea(ctx)).length > 0) return { next: 'facilities_list' };
+        }
+        return { next: 'facilities_municipality_selection' };
+    }
+
+    async function finishTriage(ctx, answers) {
+        let assessment;
+        if (answers.dangerSigns) {
+            // Danger signs are referred straight away, without waiting on the AI
+            assessment = scoreTriage(answers);
+        } else if (!await takeAiQuota(ctx, 'triage')) {
+            // Over the AI quota the rules still give an answer: triage is never refused
+            assessment = scoreTriage(answers);
+        } else {
+            const result = await awaitAi(ctx, 'triage', answers);
+            if (result.deferred) return { end: result.deferred };
+            assessment = result.value;
+        }
+        const message = triageMessage(ctx.t, assessment, answers);
+        const smsBody = ctx.t('triage.sms', { result: message });
+        await remember(ctx, 'triage', smsBody);
+        const smsConfirmation = await smsToCaller(ctx, smsBody);
+        if (!assessment.dangerSign && adviceKey(assessment, answers) === 'triage.advice.low') {
+            return { end: `${message}\n${smsConfirmation}` };
+        }
+        // Whenever the advice is to get tested or seen, offer where
+        ctx.session.data.triageResult = `${message}\n${smsConfirmation}`;
+        return { next: 'triage_result' };
+    }
+
+    function answerTriage(ctx, question, value) {
+        const answers = recordTriageAnswer(ctx.session.data, question.id, value);
+        const following = answers.dangerSigns ? null : nextQuestion(answers, question.id);
+        return following ? { next: triageScreenId(following) } : finishTriage(ctx, answers);
+    }
+
+    // One screen per triage question: yes/no options or a number in range
+    function triageScreens() {
+        return Object.fromEntries(TRIAGE_QUESTIONS.map(question => {
+            const screen = question.type === 'yesno'
+                ? {
+                    prompt: text(`triage.${question.id}`),
+                    options: [
+                        { label: text('common.yes'), value: true },
+                        { label: text('common.no'), value: false }
+                    ],
+                    handler: (ctx, input, option) => answerTriage(ctx, question, option.value)
+                }
+                : {
+                    prompt: text(`triage.${question.id}`, { min: question.min, max: question.max }),
+                    validate: (input, ctx) => {
+                        const value = Number(input);
+                        return /^\d+$/.test(input) && value >= question.min && value <= question.max
+                            ? null
+                            : ctx.t('triage.invalidNumber', { min: question.min, max: question.max });
+                    },
+                    handler: (ctx, input) => answerTriage(ctx, question, Number(input))
+                };
+            return [triageScreenId(question), screen];
+        }));
+    }
+
+    return {
+        menu: {
+            prompt: text('menu.welcome'),
+            options: [
+                { label: text('menu.zones'), next: 'zones_risk_level_selection' },
+                { label: text('menu.reports'), next: 'reports_menu' },
+                { label: text('menu.malaria'), next: triageScreenId(TRIAGE_QUESTIONS[0]) },
+                { label: text('menu.solutions'), next: 'zone_problem_input' },
+                {
+                    label: text('menu.tips'),
+                    handler: async ctx => ((await content.listPublished('tips')).length > 0 ? { next: 'health_tips_menu' } : { end: ctx.t('tips.none') })
+                },
+                { label: text('menu.emergency'), handler: async ctx => ({ end: await emergencyContacts(ctx) }) },
+                { label: text('menu.alerts'), next: 'alerts_menu' },
+                { label: text('menu.facilities'), next: 'facilities_kind_selection' },
+                { label: text('menu.history'), next: 'history_menu' },
+                { label: text('menu.language'), next: 'language_selection' }
+            ]
+        },
+
+        zones_risk_level_selection: {
+            prompt: text('zones.prompt'),
+            options: [
+                { label: text('risk.3'), value: 'Alto' },
+                { label: text('risk.2'), value: 'Médio' },
+                { label: text('risk.1'), value: 'Baixo' },
+                { label: text('zones.all'), value: null }
+            ],
+            handler: async (ctx, input, option) => {
+                try {
+                    const snapshot = await mapazzz.getZones(option.value);
+                    const ussdZoneMessage = withSnapshotMarker(formatZonesForUSSD(snapshot.items, option.value, ctx.t), snapshot, ctx.t);
+                    const smsZoneMessage = withSnapshotMarker(formatZonesForUSSD(snapshot.items, option.value, ctx.t, { limit: MAX_SMS_ZONES }), snapshot, ctx.t);
+                    const smsConfirmation = await smsToCaller(ctx, `${smsZoneMessage}\n(MapaZZZ)`);
+                    return { end: `${ussdZoneMessage}\n${smsConfirmation}` };
+                } catch (error) {
+                    return { end: ctx.t('zones.unavailable') };
+                }
+            }
+        },
+
+        reports_menu: {
+            prompt: text('reports.prompt'),
+            options: [
+                { label: text('reports.view'), next: 'reports_municipality_selection' },
+                { label: text('reports.new'), next: 'report_category_selection' }
+            ]
+        },
+
+        reports_municipality_selection: {
+            prompt: text('reports.municipalityPrompt'),
+            options: async () => [
+                ...await municipalityOptions(),
+                { label: text('reports.other'), value: 'Outro' },
+                { label: text('reports.all'), value: 'Todos' }
+            ],
+            handler: async (ctx, input, option) => {
+                try {
+                    const snapshot = await mapazzz.getReports(option.value);
+                    const ussdReportMessage = withSnapshotMarker(formatReportsForUSSD(snapshot.items, option.value, ctx.t), snapshot, ctx.t);
+                    const smsConfirmation = await smsToCaller(ctx, `${ussdReportMessage}\n(MapaZZZ)`);
+                    return { end: `${ussdReportMessage}\n${smsConfirmation}` };
+                } catch (error) {
+                    return { end: ctx.t('reports.unavailable') };
+                }
+            }
+        },
+
+        // --- Filing a report: category -> municipality -> description -> confirm ---
+        report_category_selection: {
+            prompt: text('report.categoryPrompt'),
+            options: REPORT_CATEGORIES.map(category => ({ label: text(`report.category.${category}`), value: category })),
+            handler: (ctx, input, option) => {
+                ctx.session.data.category = option.value;
+            },
+            next: 'report_municipality_selection'
+        },
+
+        report_municipality_selection: {
+            prompt: text('report.municipalityPrompt'),
+            options: async () => [
+                ...await municipalityOptions({ next: 'report_description_input' }),
+                { label: text('report.otherMunicipality'), next: 'report_municipality_input' }
+            ],
+            handler: (ctx, input, option) => {
+                if (option.value) ctx.session.data.municipality = option.value;
+            }
+        },
+
+        report_municipality_input: {
+            prompt: text('report.municipalityInput'),
+            validate: (input, ctx) => (input.length >= 2 && input.length <= 40 ? null : ctx.t('report.invalidMunicipality')),
+            handler: (ctx, municipality) => {
+                ctx.session.data.municipality = municipality;
+            },
+            next: 'report_description_input'
+        },
+
+        report_description_input: {
+            prompt: text('report.descriptionPrompt', { max: MAX_REPORT_DESCRIPTION_LENGTH }),
+            validate: (input, ctx) => {
+                if (!input) return ctx.t('report.descriptionEmpty');
+                if (input.length > MAX_REPORT_DESCRIPTION_LENGTH) return ctx.t('report.descriptionTooLong', { max: MAX_REPORT_DESCRIPTION_LENGTH });
+                return null;
+            },
+            handler: (ctx, description) => {
+                ctx.session.data.description = description;
+            },
+            next: 'report_confirm'
+        },
+
+        report_confirm: {
+            prompt: ctx => {
+                const { category, municipality } = ctx.session.data;
+                // The description was just typed; repeating it would push the options off the page
+                return `${ctx.t('report.confirmPrompt')}\n${ctx.t(`report.category.${category}`)} - ${municipality}`;
+            },
+            options: [
+                { label: text('common.confirm'), value: true },
+                { label: text('common.cancel'), value: false }
+            ],
+            handler: async (ctx, input, option) => {
+                if (!option.value) return { end: ctx.t('report.cancelled') };
+                const { category, municipality, description } = ctx.session.data;
+                const receipt = await reports.fileReport({ category, municipality, description, phoneNumber: ctx.phoneNumber, lang: ctx.lang }, { smsOptions: smsOptions(ctx) });
+                const status = receipt.queued ? ctx.t('report.queued') : ctx.t('report.thanks');
+                return { end: `${ctx.t('report.registered', { reference: receipt.reference })}\n${status}\n${receipt.smsConfirmation}` };
+            }
+        },
+
+        ...triageScreens(),
+
+        triage_result: {
+            prompt: ctx => ctx.session.data.triageResult,
+            options: [{ label: text('facilities.nearby'), handler: offerNearbyFacilities }]
+        },
+
+        zone_problem_input: {
+            prompt: text('solution.prompt'),
+            validate: (input, ctx) => (input ? null : ctx.t('solution.empty')),
+            handler: async (ctx, problemDescription) => {
+                if (!await takeAiQuota(ctx, 'solution')) return { end: ctx.t('quota.ai') };
+                const result = await awaitAi(ctx, 'solution', problemDescription);
+                if (result.deferred) return { end: result.deferred };
+                const solution = result.value;
+                if (!solution.ok) {
+                    return { end: solution.text };
+                }
+                const smsBody = ctx.t('solution.sms', { result: solution.text });
+                await remember(ctx, 'solution', smsBody);
+                const smsSendConfirmation = await smsToCaller(ctx, smsBody);
+                return { end: `${ctx.t('solution.result', { result: solution.text })} ${smsSendConfirmation}` };
+            }
+        },
+
+        health_tips_menu: {
+            prompt: text('tips.prompt'),
+            options: async () => (await content.listPublished('tips')).map(tip => ({ label: ctx => localize(tip.label, ctx.lang), value: tip })),
+            handler: async (ctx, input, option) => {
+                // Only reachable if the tips were unpublished mid-session, when the screen takes free text
+                if (!option) return { end: ctx.t('tips.none') };
+                const tipText = localize(option.value.text, ctx.lang);
+                const smsConfirmation = await smsToCaller(ctx, ctx.t('tips.sms', { tip: tipText }));
+                return { end: `${tipText} ${smsConfirmation}` };
+            }
+        },
+
+        // --- Risk alerts: subscribe (municipality -> threshold) or cancel ---
+        alerts_menu: {
+            prompt: async ctx => {
+                const subscription = await alerts.getSubscription(ctx.phoneNumber);
+                const status = subscription
+                    ? ctx.t('alerts.status', { municipality: alertMunicipalityLabel(ctx, subscription.municipality), level: ctx.t(`risk.${subscription.threshold}`) })
+                    : ctx.t('alerts.notSubscribed');
+                return `${ctx.t('alerts.prompt')}\n${status}`;
+            },
+            options: [
+                { label: text('alerts.subscribe'), next: 'alerts_municipality_selection' },
+                {
+                    label: text('alerts.unsubscribe'),
+                    handler: async ctx => ({ end: ctx.t((await alerts.unsubscribe(ctx.phoneNumber)) ? 'alerts.unsubscribed' : 'alerts.notActive') })
+                }
+            ]
+        },
+
+        alerts_municipality_selection: {
+            prompt: text('alerts.municipalityPrompt'),
+            options: async () => [
+                ...await municipalityOptions(),
+                { label: text('alerts.allMunicipalities'), value: ALL_MUNICIPALITIES }
+            ],
+            handler: (ctx, input, option) => {
+                ctx.session.data.alertMunicipality = option.value;
+            },
+            next: 'alerts_threshold_selection'
+        },
+
+        alerts_threshold_selection: {
+            prompt: text('alerts.thresholdPrompt'),
+            options: [
+                { label: text(`alerts.threshold.${HIGH_RISK}`), value: HIGH_RISK },
+                { label: text('alerts.threshold.2'), value: 2 }
+            ],
+            handler: async (ctx, input, option) => {
+                const municipality = ctx.session.data.alertMunicipality;
+                await alerts.subscribe(ctx.phoneNumber, { municipality, threshold: option.value, lang: ctx.lang });
+                const label = alertMunicipalityLabel(ctx, municipality);
+                const smsConfirmation = await smsToCaller(ctx, ctx.t('alerts.smsConfirmation', { municipality: label }));
+                return { end: `${ctx.t('alerts.subscribed', { municipality: label })}\n${smsConfirmation}` };
+            }
+        },
+
+        // --- Health facilities: kind -> municipality -> bairro -> facility ---
+        facilities_kind_selection: {
+            prompt: text('facilities.kindPrompt'),
+            options: FACILITY_KINDS.map(kind => ({ label: text(`facilities.kind.${kind}`), value: kind })),
+            handler: async (ctx, input, option) => {
+                ctx.session.data.facilityKind = option.value;
+                // Rather than an empty municipality list
+                if ((await facilitiesOfKind(ctx)).length === 0) return { end: ctx.t('facilities.none') };
+            },
+            next: 'facilities_municipality_selection'
+        },
+
+        facilities_municipality_selection: {
+            prompt: text('facilities.municipalityPrompt'),
+            options: async ctx => distinct(await facilitiesOfKind(ctx), 'municipality').map(name => ({ label: name, value: name })),
+            handler: (ctx, input, option) => {
+                // Only reachable if the facilities were unpublished mid-session, when the screen takes free text
+                if (!option) return { end: ctx.t('facilities.none') };
+                ctx.session.data.facilityArea = { municipality: option.value };
+            },
+            next: 'facilities_bairro_selection'
+        },
+
+        facilities_bairro_selection: {
+            prompt: text('facilities.bairroPrompt'),
+            options: async ctx => {
+                const { municipality } = ctx.session.data.facilityArea;
+                const facilities = (await facilitiesOfKind(ctx)).filter(facility => facility.municipality === municipality);
+                return [
+                    ...distinct(facilities, 'bairro').map(bairro => ({ label: bairro, value: bairro })),
+                    { label: text('facilities.allBairros'), value: null }
+                ];
+            },
+            handler: (ctx, input, option) => {
+                ctx.session.data.facilityArea = { ...ctx.session.data.facilityArea, bairro: option.value };
+            },
+            next: 'facilities_list'
+        },
+
+        facilities_list: {
+            prompt: ctx => {
+                const { municipality, bairro } = ctx.session.data.facilityArea;
+                return ctx.t(`facilities.listPrompt.${ctx.session.data.facilityKind}`, { area: bairro ? `${bairro}, ${municipality}` : municipality });
+            },
+            options: async ctx => {
+                const { bairro } = ctx.session.data.facilityArea;
+                return (await facilitiesInArea(ctx)).map(facility => ({
+                    label: bairro ? facility.name : `${facility.name} (${facility.bairro})`,
+                    value: facility
+                }));
+            },
+            handler: async (ctx, input, option) => {
+                if (!option) return { end: ctx.t('facilities.none') };
+                // Remembered so the next triage can offer this area straight away
+                await preferences.update(ctx.phoneNumber, { facilityArea: ctx.session.data.facilityArea });
+                const smsConfirmation = await smsToCaller(ctx, ctx.t('facilities.sms', { details: formatFacility(option.value, ctx.t, { withMap: true }) }));
+                return { end: `${formatFacility(option.value, ctx.t)}\n${smsConfirmation}` };
+            }
+        },
+
+        // --- History: the last entries, re-sent by SMS on request, and erasing one's data ---
+        history_menu: {
+            prompt: async ctx => ((await history.list(ctx.phoneNumber)).length > 0 ? ctx.t('history.prompt') : ctx.t('history.empty')),
+            options: async ctx => [
+                ...(await history.list(ctx.phoneNumber)).slice(0, MAX_HISTORY_ENTRIES).map(entry => ({
+                    label: text(`history.type.${entry.type}`, { date: shortDate(entry.at) }),
+                    value: entry,
+                    next: 'history_entry'
+                })),
+                { label: text('history.erase'), next: 'history_erase_confirm' }
+            ],
+            handler: (ctx, input, option) => {
+                if (option.value) ctx.session.data.historyEntry = option.value;
+            }
+        },
+
+        history_entry: {
+            prompt: ctx => ctx.session.data.historyEntry.text,
+            options: [{
+                label: text('history.resend'),
+                handler: async ctx => ({ end: await smsToCaller(ctx, ctx.session.data.historyEntry.text) })
+            }]
+        },
+
+        // Everything kept per number (see eraseCallerData in lib/app.js)
+        history_erase_confirm: {
+            prompt: text('history.eraseConfirm'),
+            options: [
+                { label: text('common.confirm'), value: true },
+                { label: text('common.cancel'), value: false }
+            ],
+            handler: async (ctx, input, option) => {
+                if (!option.value) return { end: ctx.t('history.eraseCancelled') };
+                await eraseCallerData(ctx.phoneNumber);
+                return { end: ctx.t('history.erased') };
+            }
+        },
+
+        language_selection: {
+            prompt: text('language.prompt'),
+            options: LANGUAGES.map(language => ({
+                label: language.partial ? ctx => `${language.name} (${ctx.t('language.partial')})` : language.name,
+                value: language.code
+            })),
+            handler: async (ctx, input, option) => {
+                await preferences.setLanguage(ctx.phoneNumber, option.value);
+                ctx.setLanguage(option.value);
+            },
+            next: 'menu'
+        }
+    };
+}
+
+module.exports = { createMenus, USSD_FUNNELS };
@@ -0,0 +1,108 @@
+// --- Prometheus metrics ---
+// Counters and histograms kept in memory and rendered in the Prometheus text
+// exposition format (version 0.0.4) for GET /metrics. Each server instance
+// counts its own traffic; on serverless deployments every instance is scraped
+// or summed separately.
+//
+//   const requests = metrics.counter('ussd_requests_total', 'USSD hops.', ['gateway']);
+//   requests.inc({ gateway: 'africastalking' });
+//   const stop = metrics.histogram('gemini_request_duration_seconds', '...', ['task']).startTimer({ task });
+//   ...; stop();
+//
+// counter() and histogram() return the existing metric when called again with
+// the same name, so services can declare what they record themselves.
+
+// Seconds; USSD gateways give up after a few seconds, Gemini can take longer
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createMetrics({ now = () => performance.now() } = {}) {
+    const metrics = new Map(); // name -> metric
+
+    // Values per label combination, keyed by the labels in declaration order
+    function series(labelNames) {
+        const values = new Map();
+        const keyOf = labels => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+        return {
+            get: (labels, create) => {
+                const key = keyOf(labels);
+                if (!values.has(key)) values.set(key, { labels: Object.fromEntries(labelNames.map(name => [name, labels[name] ?? ''])), value: create() });
+                return values.get(key).value;
+            },
+            entries: () => Array.from(values.values())
+        };
+    }
+
+    function register(name, type, create) {
+        const existing = metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) throw new Error(`Metric "${name}" is already a ${existing.type}.`);
+            return existing;
+        }
+        const metric = { type, ...create() };
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        return register(name, 'counter', () => {
+            const values = series(labelNames);
+            return {
+                help,
+                inc: (labels = {}, amount = 1) => {
+                    values.get(labels, () => ({ count: 0 })).count += amount;
+                },
+                lines: () => values.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.count}`)
+            };
+        });
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return register(name, 'histogram', () => {
+            const values = series(labelNames);
+            const observe = (labels, seconds) => {
+                const value = values.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, index) => {
+                    if (seconds <= bound) value.counts[index]++;
+                });
+                value.sum += seconds;
+                value.count++;
+            };
+            return {
+                help,
+                observe: (labels = {}, seconds) => observe(labels, seconds),
+                // Returns a function that records the time elapsed; it can add labels known only at the end
+                startTimer: (labels = {}) => {
+                    const startedAt = now();
+                    return (moreLabels = {}) => observe({ ...labels, ...moreLabels }, (now() - startedAt) / 1000);
+                },
+                lines: () => values.entries().flatMap(({ labels, value }) => [
+                    ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+                    `${name}_sum${formatLabels(labels)} ${value.sum}`,
+                    `${name}_count${formatLabels(labels)} ${value.count}`
+                ])
+            };
+        });
+    }
+
+    function render() {
+        return Array.from(metrics.entries()).map(([name, metric]) => [
+            `# HELP ${name} ${metric.help}`,
+            `# TYPE ${name} ${metric.type}`,
+            ...metric.lines()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, histogram, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS, CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8' };
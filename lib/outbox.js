@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+// --- Durable retry queue ---
+// Holds work that must reach an external service eventually (e.g. a citizen
+// report while the mapaZZZ API is down). Items live in a key/value store from
+// lib/stores, so with the file or Redis driver they survive restarts. flush()
+// delivers every item that is due; failures are retried with exponential
+// backoff until maxAttempts, after which the item is kept but marked failed
+// so it can be inspected instead of silently dropped. A delivery error with
+// `permanent: true` (e.g. an invalid phone number) fails the item at once.
+//
+// Several instances may flush the same shared store at once. Each item is
+// claimed with a lease (store.add, atomic) before delivery and re-read once
+// claimed, so only one instance delivers it. A lease left by an instance that
+// died mid-delivery expires after leaseMs and the item is tried again.
+
+const LEASE_PREFIX = 'lease:';
+
+function createOutbox({ store, deliver, onGiveUp, failedTtlMs, maxAttempts = 8, baseDelayMs = 30 * 1000, maxDelayMs = 60 * 60 * 1000, leaseMs = 2 * 60 * 1000, now = Date.now }) {
+    let flushing = null;
+
+    function backoff(attempts) {
+        return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    }
+
+    async function enqueue(payload, { id } = {}) {
+        const itemId = id || crypto.randomUUID();
+        await store.set(itemId, {
+            id: itemId,
+            payload,
+            attempts: 0,
+            status: 'pending',
+            createdAt: now(),
+            nextAttemptAt: now()
+        });
+        return itemId;
+    }
+
+    async function deliverItem(item, summary) {
+        try {
+            await deliver(item.payload, item);
+            await store.delete(item.id);
+            summary.delivered++;
+        } catch (error) {
+            item.attempts++;
+            item.lastError = error.message;
+            if (error.permanent || item.attempts >= maxAttempts) {
+                item.status = 'failed';
+                summary.failed++;
+                log.error('Outbox item failed permanently.', { item: item.id, attempts: item.attempts, error });
+                if (onGiveUp) await onGiveUp(item, error);
+            } else {
+                item.nextAttemptAt = now() + backoff(item.attempts);
+                summary.pending++;
+                log.warn('Outbox item failed. Retrying later.', { item: item.id, attempts: item.attempts, error });
+            }
+            // Failed items can be given a TTL so they don't pile up forever
+            await store.set(item.id, item, item.status === 'failed' && failedTtlMs ? { ttlMs: failedTtlMs } : {});
+        }
+    }
+
+    async function itemKeys() {
+        return (await store.keys()).filter(key => !key.startsWith(LEASE_PREFIX));
+    }
+
+    const isDue = item => item && item.status === 'pending' && item.nextAttemptAt <= now();
+
+    async function runFlush() {
+        const summary = { delivered: 0, failed: 0, pending: 0 };
+        for (const key of await itemKeys()) {
+            const item = await store.get(key);
+            if (!item || item.status !== 'pending') continue;
+            if (!isDue(item)) {
+                summary.pending++;
+                continue;
+            }
+            // Another instance holds it, or delivered it since we read it
+            if (!await store.add(`${LEASE_PREFIX}${key}`, { at: now() }, { ttlMs: leaseMs })) continue;
+            try {
+                const claimed = await store.get(key);
+                if (isDue(claimed)) await deliverItem(claimed, summary);
+            } finally {
+                await store.delete(`${LEASE_PREFIX}${key}`);
+            }
+        }
+        return summary;
+    }
+
+    // Concurrent callers share one pass instead of delivering items twice
+    function flush() {
+        if (!flushing) {
+            flushing = runFlush().finally(() => { flushing = null; });
+        }
+        return flushing;
+    }
+
+    // Rewrites or drops queued items, e.g. to erase someone's data: fn(payload)
+    // returns the payload to keep (the same one for no change) or null to drop
+    // the item. Items being delivered right now are left alone. Resolves to
+    // the number of items changed.
+    async function rewrite(fn) {
+        let changed = 0;
+        for (const key of await itemKeys()) {
+            if (!await store.add(`${LEASE_PREFIX}${key}`, { at: now() }, { ttlMs: leaseMs })) continue;
+            try {
+                const item = await store.get(key);
+                const payload = item ? fn(item.payload) : undefined;
+                if (!item || payload === item.payload) continue;
+                if (payload === null) await store.delete(key);
+                else await store.set(key, { ...item, payload }, item.status === 'failed' && failedTtlMs ? { ttlMs: failedTtlMs } : {});
+                changed++;
+            } finally {
+                await store.delete(`${LEASE_PREFIX}${key}`);
+            }
+        }
+        return changed;
+    }
+
+    async function list() {
+        const items = await Promise.all((await itemKeys()).map(key => store.get(key)));
+        return items.filter(Boolean);
+    }
+
+    return { enqueue, flush, list, rewrite };
+}
+
+module.exports = { createOutbox };
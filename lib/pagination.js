@@ -0,0 +1,79 @@
+const { measure } = require('./gsm');
+
+// --- USSD page splitting ---
+// A USSD screen holds 160 octets: 182 GSM-7 characters, or 80 when the text
+// needs UCS-2 (any ã, ç or õ does). paginate() splits longer text
+// into pages on line breaks (or word breaks for a line that doesn't fit by
+// itself) and ends every page but the last with the "99. Mais" line.
+// Length is measured under GSM-7 rules (escaped characters such as "€"
+// count twice) unless the page needs UCS-2, which has its own limit.
+//
+// A `footer` (the flow engine's navigation hint) goes at the end of the last
+// page when there is room for it and is left out otherwise, rather than
+// taking a page of its own or pushing a question's options off its page.
+
+const DEFAULT_LIMITS = { 'GSM-7': 182, 'UCS-2': 80 };
+
+function createMeasurer(limits) {
+    return text => {
+        const { encoding, units } = measure(text);
+        return { length: units, limit: limits[encoding] };
+    };
+}
+
+function fits(text, measurer) {
+    const { length, limit } = measurer(text);
+    return length <= limit;
+}
+
+// Breaks one line into pieces that each fit next to the "more" line
+function splitLine(line, room, measurer) {
+    if (fits(line + room, measurer)) return [line];
+    const pieces = [];
+    let current = '';
+    for (const word of line.split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (fits(candidate + room, measurer)) {
+            current = candidate;
+            continue;
+        }
+        if (current) pieces.push(current);
+        // A single word longer than a page is cut wherever it has to be
+        current = '';
+        for (const char of word) {
+            if (!fits(current + char + room, measurer)) {
+                pieces.push(current);
+                current = '';
+            }
+            current += char;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+function paginate(text, { moreLabel, limits = DEFAULT_LIMITS, footer = null }) {
+    const measurer = createMeasurer({ ...DEFAULT_LIMITS, ...limits });
+    if (footer && fits(`${text}\n${footer}`, measurer)) return [`${text}\n${footer}`];
+    if (fits(text, measurer)) return [text];
+
+    const room = `\n${moreLabel}`;
+    const lines = text.split('\n').flatMap(line => splitLine(line, room, measurer));
+    const pages = [];
+    let current = [];
+    lines.forEach(line => {
+        const candidate = current.concat(line);
+        if (current.length > 0 && !fits(candidate.join('\n') + room, measurer)) {
+            pages.push(current);
+            current = [line];
+        } else {
+            current = candidate;
+        }
+    });
+    if (footer && fits(current.concat(footer).join('\n'), measurer)) current.push(footer);
+    pages.push(current);
+
+    return pages.map((page, index) => (index < pages.length - 1 ? page.concat(moreLabel) : page).join('\n'));
+}
+
+module.exports = { paginate, DEFAULT_LIMITS };
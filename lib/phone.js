@@ -0,0 +1,11 @@
+// Gateways and SMS providers send numbers as "+244923...", "244923..." or
+// "00244923..."; the rest of the service expects E.164 with the "+".
+function normalizePhoneNumber(phoneNumber) {
+    if (phoneNumber === undefined || phoneNumber === null) return phoneNumber;
+    const digits = String(phoneNumber).trim().replace(/[\s-]/g, '');
+    if (digits.startsWith('+')) return digits;
+    if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+    return /^\d+$/.test(digits) ? `+${digits}` : digits;
+}
+
+module.exports = { normalizePhoneNumber };
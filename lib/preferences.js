@@ -0,0 +1,34 @@
+const { DEFAULT_LANGUAGE, isSupportedLanguage } = require('./i18n');
+
+// --- Per-phone preferences ---
+// Remembered across USSD sessions, keyed by the caller's phone number.
+
+function createPreferences({ store }) {
+    async function get(phoneNumber) {
+        return (phoneNumber && await store.get(phoneNumber)) || {};
+    }
+
+    async function update(phoneNumber, changes) {
+        const preferences = { ...await get(phoneNumber), ...changes };
+        await store.set(phoneNumber, preferences);
+        return preferences;
+    }
+
+    async function clear(phoneNumber) {
+        await store.delete(phoneNumber);
+    }
+
+    async function getLanguage(phoneNumber) {
+        const { language } = await get(phoneNumber);
+        return isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+    }
+
+    async function setLanguage(phoneNumber, language) {
+        if (!isSupportedLanguage(language)) throw new Error(`Unsupported language "${language}".`);
+        await update(phoneNumber, { language });
+    }
+
+    return { get, update, clear, getLanguage, setLanguage };
+}
+
+module.exports = { createPreferences };
@@ -0,0 +1,33 @@
+const { log } = require('./logger');
+
+// --- Usage quotas ---
+// Caps how many paid operations (Gemini analyses, outbound SMS) one phone
+// number and one source IP can trigger per window, so a script can't drain
+// the Gemini or SMS accounts. Counters live in `store` so all instances share
+// them. `limits` is { <kind>: { perPhone, perIp } }; a missing limit or 0
+// turns that counter off.
+
+function createQuotaService({ store, limits = {}, windowMs = 24 * 60 * 60 * 1000, now = Date.now }) {
+    // Resolves to true and counts the use, or to false once a counter is
+    // used up (then nothing is counted). Counters are incremented atomically
+    // in the store, so concurrent requests can't all slip under the limit.
+    async function take(kind, { phoneNumber, ip } = {}) {
+        const { perPhone, perIp } = limits[kind] || {};
+        const window = Math.floor(now() / windowMs);
+        const counters = [['phone', phoneNumber, perPhone], ['ip', ip, perIp]]
+            .filter(([, id, max]) => id && max > 0)
+            .map(([scope, id, max]) => ({ key: `${kind}:${scope}:${id}:${window}`, max }));
+
+        const used = await Promise.all(counters.map(counter => store.increment(counter.key, { ttlMs: windowMs })));
+        if (counters.some((counter, index) => used[index] > counter.max)) {
+            await Promise.all(counters.map(counter => store.increment(counter.key, { by: -1 })));
+            log.warn('Quota used up.', { kind, phoneNumber, ip });
+            return false;
+        }
+        return true;
+    }
+
+    return { take };
+}
+
+module.exports = { createQuotaService };
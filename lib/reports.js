@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { createOutbox } = require('./outbox');
+const { translate } = require('./i18n');
+const { log } = require('./logger');
+
+// --- Citizen incident reports ---
+// Submits reports filed over USSD to the mapaZZZ API. If the API can't be
+// reached the report goes to a durable outbox and is retried later; either
+// way the citizen gets a reference number right away, by USSD and by SMS,
+// and the receipt goes into their history (lib/history.js) when one is given.
+
+// Labels are catalog entries "report.category.<value>"
+const REPORT_CATEGORIES = ['agua', 'lixo', 'poste_caido', 'agua_parada', 'saneamento', 'outro'];
+
+// Unambiguous characters only (no 0/O, 1/I), since people read it off a handset
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function createReference() {
+    let code = '';
+    for (let i = 0; i < 6; i++) {
+        code += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+    }
+    return `MZ-${code}`;
+}
+
+function createReportService({ mapazzz, store, sendSms, history = null, now = Date.now }) {
+    const outbox = createOutbox({
+        store,
+        deliver: report => mapazzz.submitReport(report)
+    });
+
+    // `smsReceipt: false` skips the SMS when the caller already gets the
+    // reference in a text conversation (lib/keywordChannel.js); `smsOptions`
+    // go to sendSms with the receipt
+    async function fileReport({ category, municipality, description, phoneNumber, lang, source = 'ussd' }, { smsReceipt = true, smsOptions } = {}) {
+        const report = {
+            // Also serves as the idempotency key if a queued report is retried
+            reference: createReference(),
+            // The API's reports are titled in Portuguese whatever the reporter's language
+            title: translate('pt', `report.category.${category}`),
+            category,
+            municipality,
+            description,
+            phoneNumber,
+            source,
+            createdAt: new Date(now()).toISOString()
+        };
+
+        let queued = false;
+        try {
+            await mapazzz.submitReport(report);
+        } catch (error) {
+            log.warn('Could not submit report. Queuing for retry.', { reference: report.reference, error });
+            await outbox.enqueue(report, { id: report.reference });
+            queued = true;
+        }
+
+        const smsBody = translate(lang, 'report.smsReceipt', {
+            reference: report.reference,
+            category: translate(lang, `report.category.${category}`),
+            municipality
+        });
+        if (history) await history.record(phoneNumber, { type: 'report', text: smsBody });
+
+        if (!smsReceipt) return { reference: report.reference, queued, smsConfirmation: null };
+
+        const smsConfirmation = await sendSms(phoneNumber, smsBody, lang, smsOptions);
+        return { reference: report.reference, queued, smsConfirmation };
+    }
+
+    // Removes the reporter's number from reports still waiting in the queue;
+    // the reports themselves are still submitted. Resolves to how many changed.
+    function forgetPhoneNumber(phoneNumber) {
+        return outbox.rewrite(report => (report.phoneNumber === phoneNumber ? { ...report, phoneNumber: null } : report));
+    }
+
+    return { fileReport, forgetPhoneNumber, flushQueue: outbox.flush, listQueue: outbox.list };
+}
+
+module.exports = { createReportService, createReference, REPORT_CATEGORIES };
@@ -0,0 +1,39 @@
+// --- USSD session store ---
+// Wraps a key/value store (lib/stores) with the rules for USSD dialogs:
+// session ids must look like gateway ids, and every save pushes the expiry
+// forward so a dialog stays alive while the user is answering but disappears
+// once the gateway gives up on it.
+
+const SESSION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+function assertValidSessionId(sessionId) {
+    if (!isValidSessionId(sessionId)) {
+        throw new TypeError(`Invalid USSD sessionId: ${JSON.stringify(sessionId)}`);
+    }
+}
+
+function createSessionStore({ store, ttlMs = 5 * 60 * 1000 }) {
+    async function load(sessionId) {
+        assertValidSessionId(sessionId);
+        const session = await store.get(sessionId);
+        return session && typeof session === 'object' && session.flow ? session : null;
+    }
+
+    async function save(sessionId, session) {
+        assertValidSessionId(sessionId);
+        await store.set(sessionId, session, { ttlMs });
+    }
+
+    async function destroy(sessionId) {
+        assertValidSessionId(sessionId);
+        await store.delete(sessionId);
+    }
+
+    return { load, save, destroy };
+}
+
+module.exports = { createSessionStore, isValidSessionId };
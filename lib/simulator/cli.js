@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+const readline = require('readline');
+const { createDialog, createHttpSender } = require('./dialog');
+
+// --- USSD simulator (terminal) ---
+// Plays dialogs against a running server like a handset would:
+//
+//   npm run simulate                                   # http://localhost:3000/ussd
+//   npm run simulate -- --url https://example.com/ussd --phone +244923000001
+//   npm run simulate -- --offline                      # in-process app with fakes
+//
+// Type an answer at each CON screen; after an END screen press Enter to dial
+// again. "q" quits.
+
+const USAGE = 'Usage: simulate [--url <ussd endpoint>] [--phone <number>] [--code <service code>] [--offline]';
+
+// Sample data for --offline, so every menu has something to show
+const OFFLINE_DATA = {
+    zones: [
+        { id: 'z1', location: 'Zango 3', municipality: 'Zango', riskLevel: 3 },
+        { id: 'z2', location: 'Belas - Benfica', municipality: 'Belas', riskLevel: 2 },
+        { id: 'z3', location: 'Viana - Estalagem', municipality: 'Viana', riskLevel: 1 }
+    ],
+    reports: [
+        { title: 'Água parada', municipality: 'Viana', description: 'Vala cheia junto à escola.', riskLevel: 3 }
+    ]
+};
+
+function parseArgs(argv) {
+    const args = { url: 'http://localhost:3000/ussd', phone: '+244900000000', code: '*123#', offline: false };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--offline') args.offline = true;
+        else if (flag === '--url') args.url = argv[++i];
+        else if (flag === '--phone') args.phone = argv[++i];
+        else if (flag === '--code') args.code = argv[++i];
+        else if (flag === '--help' || flag === '-h') args.help = true;
+        else throw new Error(`Unknown option "${flag}".\n${USAGE}`);
+    }
+    return args;
+}
+
+// Starts the app in this process with fake Gemini, SMS and mapaZZZ API
+async function startOfflineServer() {
+    const { createApp } = require('../app');
+    const { createFakeSmsProvider, createFakeMapazzz } = require('./fakes');
+    const smsProvider = createFakeSmsProvider();
+    const { app, ready } = createApp({
+        env: { ...process.env, STORE_DRIVER: 'memory' },
+        ai: null,
+        smsProvider,
+        mapazzz: createFakeMapazzz(OFFLINE_DATA)
+    });
+    await ready;
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return { url: `http://127.0.0.1:${server.address().port}/ussd`, server };
+}
+
+function printScreen({ end, text }) {
+    console.log(`\n┌── ${end ? 'END' : 'CON'} ${'─'.repeat(30)}`);
+    text.split('\n').forEach(line => console.log(`│ ${line}`));
+    console.log(`└${'─'.repeat(36)}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let server = null;
+    let url = args.url;
+    if (args.offline) {
+        ({ url, server } = await startOfflineServer());
+    }
+    const send = createHttpSender(url);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async prompt => {
+        process.stdout.write(prompt);
+        const { value, done } = await lines.next();
+        return done ? null : value.trim();
+    };
+
+    console.log(`Simulating ${args.code} from ${args.phone} against ${url}`);
+    try {
+        for (;;) {
+            const dialog = createDialog({ send, phoneNumber: args.phone, serviceCode: args.code });
+            let reply = await dialog.dial();
+            printScreen(reply);
+            while (!reply.end) {
+                const input = await ask('> ');
+                if (input === null || input === 'q') return;
+                reply = await dialog.reply(input);
+                printScreen(reply);
+            }
+            const again = await ask('Enter para marcar de novo, q para sair: ');
+            if (again === null || again === 'q') return;
+        }
+    } finally {
+        rl.close();
+        if (server) server.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// --- A simulated handset ---
+// Plays a USSD dialog the way Africa's Talking delivers it: one session id
+// for the whole dialog, and `text` carrying every answer so far joined with
+// "*" (empty on the first request). Replies are parsed back into
+// { end, text } from "CON ..." / "END ...".
+
+function parseReply(raw) {
+    const match = /^(CON|END) ?([\s\S]*)$/.exec(String(raw));
+    if (!match) return { end: true, text: String(raw) };
+    return { end: match[1] === 'END', text: match[2] };
+}
+
+// Sends one Africa's Talking-style request to a running server
+function createHttpSender(url) {
+    return async fields => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(fields).toString()
+        });
+        if (!response.ok) throw new Error(`USSD endpoint answered ${response.status}.`);
+        return response.text();
+    };
+}
+
+function createDialog({ send, phoneNumber = '+244900000000', serviceCode = '*123#', sessionId = `sim-${crypto.randomUUID()}` }) {
+    const answers = [];
+    let ended = false;
+
+    async function request() {
+        if (ended) throw new Error('The dialog has already ended.');
+        const reply = parseReply(await send({ sessionId, serviceCode, phoneNumber, text: answers.join('*') }));
+        ended = reply.end;
+        return reply;
+    }
+
+    return {
+        sessionId,
+        phoneNumber,
+        get ended() {
+            return ended;
+        },
+        dial: request,
+        async reply(input) {
+            answers.push(String(input));
+            return request();
+        }
+    };
+}
+
+module.exports = { createDialog, createHttpSender, parseReply };
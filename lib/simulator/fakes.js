@@ -0,0 +1,85 @@
+const { createMapazzzClient } = require('../mapazzzClient');
+
+// --- In-process stand-ins for outside services ---
+// Passed to createApp() by the simulator (--offline) and the dialog tests so
+// whole dialogs run without network access or credentials.
+
+// Gemini: answers generateContent() with scripted replies, in order. A reply
+// that is an object is sent as JSON (for the triage schema); { error } makes
+// the call fail and { delayMs, reply } answers `reply` after a pause. With no
+// replies left the call fails too, like a quota error.
+function createFakeGemini(replies = []) {
+    const queue = [...replies];
+    const calls = [];
+    return {
+        calls,
+        models: {
+            async generateContent(request) {
+                calls.push(request);
+                if (queue.length === 0) throw new Error('Fake Gemini has no scripted reply left.');
+                let reply = queue.shift();
+                if (reply && reply.delayMs !== undefined) {
+                    await new Promise(resolve => setTimeout(resolve, reply.delayMs));
+                    reply = reply.reply;
+                }
+                if (reply && reply.error) throw new Error(reply.error);
+                return { text: typeof reply === 'string' ? reply : JSON.stringify(reply) };
+            }
+        }
+    };
+}
+
+// SMS: records what would have been sent
+function createFakeSmsProvider() {
+    const sent = [];
+    let counter = 0;
+    return {
+        name: 'fake',
+        sent,
+        async send({ to, body }) {
+            counter++;
+            sent.push({ to, body });
+            return { providerMessageId: `fake-${counter}` };
+        },
+        parseStatus(req) {
+            const { id, status } = req.body || {};
+            return { providerMessageId: id, status, error: null };
+        },
+        parseInbound(req) {
+            const { from, text } = req.body || {};
+            return { from, text: text || '' };
+        }
+    };
+}
+
+// mapaZZZ API: the real client over an in-memory "API" serving `zones` and
+// `reports`. With `down: true` every call fails, until setDown(false).
+// Submitted reports are kept in `submitted`.
+function createFakeMapazzz({ zones = [], reports = [], down = false } = {}) {
+    const submitted = [];
+    const unavailable = () => Promise.reject(new Error('Fake mapaZZZ API is down.'));
+    const http = {
+        get(url) {
+            if (down) return unavailable();
+            const resource = url.split('/').pop();
+            return Promise.resolve({ data: resource === 'zones' ? zones : reports });
+        },
+        post(url, report) {
+            if (down) return unavailable();
+            submitted.push(report);
+            return Promise.resolve({ data: { ok: true } });
+        }
+    };
+    const client = createMapazzzClient({ baseUrl: 'http://mapazzz.test/api', http, ttlMs: 0 });
+    return { ...client, submitted, setDown: value => { down = value; } };
+}
+
+// A clock tests move by hand: pass `clock.now` where a service takes `now`
+// and change `clock.time`
+function createFakeClock(start = 1000) {
+    const clock = { time: start };
+    clock.now = () => clock.time;
+    return clock;
+}
+
+module.exports = { createFakeGemini, createFakeSmsProvider, createFakeMapazzz, createFakeClock };
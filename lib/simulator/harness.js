@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { createApp } = require('../app');
+const { createDialog, createHttpSender } = require('./dialog');
+const { createFakeGemini, createFakeSmsProvider, createFakeMapazzz } = require('./fakes');
+
+// --- Scripted dialog runner ---
+// Runs a dialog script (YAML or JSON) against a fresh app with every outside
+// service faked, and asserts on each screen. A script looks like:
+//
+//   name: Zonas de risco alto
+//   phoneNumber: "+244923000001"     # optional
+//   env: { USSD_MAX_LENGTH: "182" }  # optional extra configuration
+//   readAll: true                    # optional, see below
+//   mapazzz:                         # data served by the fake mapaZZZ API
+//     zones: [{ location: Zango 2, riskLevel: 3 }]
+//     down: false
+//   gemini:                          # scripted Gemini replies, in order
+//     - { probability: 80, dangerSign: false }
+//   steps:
+//     - expect: Bem-vindo            # first step dials (no `send`)
+//     - send: "1"
+//       expect: [Escolha o nível, "1. Alto"]
+//     - send: "1"
+//       end: true
+//       expect: Zango 2
+//     - job: risk-alerts             # runs a background job between screens
+//     - mapazzz: { down: true }      # takes the fake mapaZZZ API down (or back up)
+//     - wait: 200                    # lets background work (e.g. a slow Gemini) finish
+//   sms:                             # checked after the dialogs
+//     - contains: Zango 2
+//   submittedReports:                # reports that reached the mapaZZZ API
+//     - contains: Cacuaco
+//
+// `expect` takes one substring or a list, `reject` lists text that must not
+// appear and `end` checks whether the dialog closed. With `readAll: true` (on
+// a step, or at the top of the script for every step) a screen split into
+// USSD pages is read to its last page ("99") and checked as a whole; the
+// dialog then continues from that page. A step after an END
+// screen, or an explicit `dial: true`, starts a new dialog on the same
+// phone. Instead of `steps`, `dialogs: [{ phoneNumber, steps }]` runs dialogs
+// from several phones.
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+// For tests that talk to the app over HTTP: runs createApp() on a free local
+// port with Gemini off and a fake mapaZZZ API unless given, silences the
+// logs, and closes the server when the node:test context `t` ends. Resolves
+// to createApp()'s result plus `baseUrl`.
+async function startApp(t, { env = {}, ai = null, smsProvider, mapazzz = createFakeMapazzz() } = {}) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const started = createApp({ env: { STORE_DRIVER: 'memory', ...env }, ai, smsProvider, mapazzz });
+    await started.ready;
+    const server = await listen(started.app);
+    t.after(() => server.close());
+    return { ...started, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+function loadDialogScript(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    const script = /\.ya?ml$/i.test(file) ? require('yaml').parse(source) : JSON.parse(source);
+    return { name: path.basename(file), ...script };
+}
+
+const asList = value => (value === undefined ? [] : [].concat(value));
+
+// The last line of every page but the last (lib/pagination.js)
+const MORE_LINE = /\n99\. [^\n]*$/;
+
+// Sends "99" until the last page and joins the pages, without the "more" lines
+async function readAllPages(dialog, reply, transcript) {
+    let text = reply.text;
+    while (!reply.end && MORE_LINE.test(reply.text)) {
+        text = text.replace(MORE_LINE, '');
+        reply = await dialog.reply('99');
+        transcript.push({ send: '99', ...reply });
+        text += `\n${reply.text}`;
+    }
+    return { ...reply, text };
+}
+
+function checkScreen(step, reply, where) {
+    const context = `${where}\n--- screen ---\n${reply.text}\n--------------`;
+    asList(step.expect).forEach(text => {
+        assert.ok(reply.text.includes(String(text)), `Expected "${text}" on ${context}`);
+    });
+    asList(step.reject).forEach(text => {
+        assert.ok(!reply.text.includes(String(text)), `Did not expect "${text}" on ${context}`);
+    });
+    if (step.end !== undefined) {
+        assert.strictEqual(reply.end, Boolean(step.end), `Expected the dialog to ${step.end ? 'end' : 'continue'} on ${context}`);
+    }
+}
+
+async function runSteps(steps, { send, runJob, mapazzz, phoneNumber, scriptName, dialogIndex, readAll = false }) {
+    let dialog = null;
+    const transcript = [];
+    for (const [index, step] of steps.entries()) {
+        const where = `${scriptName}, dialog ${dialogIndex + 1}, step ${index + 1}`;
+        if (step.job) {
+            await runJob(step.job);
+            continue;
+        }
+        if (step.mapazzz) {
+            mapazzz.setDown(Boolean(step.mapazzz.down));
+            continue;
+        }
+        if (step.wait) {
+            await new Promise(resolve => setTimeout(resolve, step.wait));
+            continue;
+        }
+        let reply;
+        if (!dialog || dialog.ended || step.dial) {
+            dialog = createDialog({ send, phoneNumber });
+            reply = await dialog.dial();
+            transcript.push({ send: null, ...reply });
+            // A first step may also answer the opening screen
+            if (step.send !== undefined) {
+                reply = await dialog.reply(step.send);
+                transcript.push({ send: String(step.send), ...reply });
+            }
+        } else {
+            assert.ok(step.send !== undefined, `${where}: a step in a running dialog needs "send".`);
+            reply = await dialog.reply(step.send);
+            transcript.push({ send: String(step.send), ...reply });
+        }
+        if (step.readAll ?? readAll) reply = await readAllPages(dialog, reply, transcript);
+        checkScreen(step, reply, where);
+    }
+    return transcript;
+}
+
+// Resolves to { transcript, sms, gemini, submittedReports } once the script
+// passes; throws an AssertionError at the first mismatch.
+async function runDialogScript(script) {
+    const scriptName = script.name || 'dialog script';
+    const gemini = script.gemini ? createFakeGemini(script.gemini) : null;
+    const smsProvider = createFakeSmsProvider();
+    const mapazzz = createFakeMapazzz(script.mapazzz);
+    const { app, ready, runJob } = createApp({
+        env: { STORE_DRIVER: 'memory', SIMULATOR_ENABLED: 'false', ...script.env },
+        ai: gemini,
+        smsProvider,
+        mapazzz
+    });
+    await ready;
+
+    const server = await listen(app);
+    try {
+        const send = createHttpSender(`http://127.0.0.1:${server.address().port}/ussd/africastalking`);
+        const dialogs = script.dialogs || [{ steps: script.steps || [] }];
+        const transcript = [];
+        for (const [dialogIndex, dialog] of dialogs.entries()) {
+            const phoneNumber = dialog.phoneNumber || script.phoneNumber || '+244900000000';
+            transcript.push(...await runSteps(dialog.steps, { send, runJob, mapazzz, phoneNumber, scriptName, dialogIndex, readAll: script.readAll }));
+        }
+
+        // SMS leave through the outbox; deliver whatever is still queued
+        await runJob('sms-outbox');
+        asList(script.sms).forEach((expected, index) => {
+            const match = smsProvider.sent.find(message =>
+                (!expected.to || message.to === expected.to) &&
+                asList(expected.contains).every(text => message.body.includes(String(text))));
+            assert.ok(match, `${scriptName}: no SMS matches expectation ${index + 1} (${JSON.stringify(expected)}). Sent:\n` +
+                smsProvider.sent.map(message => `  ${message.to}: ${message.body}`).join('\n'));
+        });
+        asList(script.submittedReports).forEach((expected, index) => {
+            const match = mapazzz.submitted.find(report =>
+                asList(expected.contains).every(text => JSON.stringify(report).includes(String(text))));
+            assert.ok(match, `${scriptName}: no submitted report matches expectation ${index + 1} (${JSON.stringify(expected)}). Submitted:\n` +
+                mapazzz.submitted.map(report => `  ${JSON.stringify(report)}`).join('\n'));
+        });
+
+        return { transcript, sms: smsProvider.sent, gemini: gemini ? gemini.calls : [], submittedReports: mapazzz.submitted };
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+module.exports = { runDialogScript, loadDialogScript, startApp };
@@ -0,0 +1,79 @@
+const axios = require('axios');
+
+// --- Africa's Talking SMS provider ---
+// Uses the bulk messaging endpoint directly; delivery reports and incoming
+// messages arrive at the callback URLs configured in the Africa's Talking
+// dashboard.
+
+const LIVE_URL = 'https://api.africastalking.com';
+const SANDBOX_URL = 'https://api.sandbox.africastalking.com';
+
+// Recipient status codes: 100 Processed, 101 Sent, 102 Queued are accepted;
+// 405 InsufficientBalance and 5xx gateway errors are worth retrying.
+const ACCEPTED_CODES = [100, 101, 102];
+const TRANSIENT_CODES = [405, 500, 501, 502];
+
+const STATUS_MAP = {
+    Sent: 'sent',
+    Submitted: 'sent',
+    Buffered: 'sent',
+    Success: 'delivered',
+    Rejected: 'failed',
+    Failed: 'failed',
+    AbsentSubscriber: 'failed',
+    Expired: 'failed'
+};
+
+function createAfricasTalkingProvider({ username, apiKey, from, http = axios, timeoutMs = 10000 }) {
+    const baseUrl = username === 'sandbox' ? SANDBOX_URL : LIVE_URL;
+
+    async function send({ to, body }) {
+        const form = new URLSearchParams({ username, to, message: body });
+        if (from) form.set('from', from);
+
+        let response;
+        try {
+            response = await http.post(`${baseUrl}/version1/messaging`, form.toString(), {
+                headers: {
+                    apiKey,
+                    Accept: 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: timeoutMs
+            });
+        } catch (error) {
+            const status = error.response ? error.response.status : 0;
+            error.permanent = status >= 400 && status < 500 && status !== 429;
+            throw error;
+        }
+
+        const data = response.data && response.data.SMSMessageData;
+        const recipient = data && data.Recipients && data.Recipients[0];
+        if (!recipient) {
+            const error = new Error(`Africa's Talking did not accept the SMS: ${data ? data.Message : 'empty response'}`);
+            error.permanent = true;
+            throw error;
+        }
+        if (!ACCEPTED_CODES.includes(recipient.statusCode)) {
+            const error = new Error(`Africa's Talking rejected the SMS: ${recipient.status} (${recipient.statusCode})`);
+            error.permanent = !TRANSIENT_CODES.includes(recipient.statusCode);
+            throw error;
+        }
+        return { providerMessageId: recipient.messageId };
+    }
+
+    function parseStatus(req) {
+        const { id, status, failureReason } = req.body || {};
+        return { providerMessageId: id, status: STATUS_MAP[status] || null, error: failureReason || null };
+    }
+
+    // Incoming messages callback: from, to, text, date, id, linkId
+    function parseInbound(req) {
+        const { from, text } = req.body || {};
+        return { from, text: text || '' };
+    }
+
+    return { name: 'africastalking', send, parseStatus, parseInbound };
+}
+
+module.exports = { createAfricasTalkingProvider };
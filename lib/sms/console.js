@@ -0,0 +1,34 @@
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { log } = require('../logger');
+
+// --- Development SMS provider ---
+// Prints messages instead of sending them and, when `file` is set, appends
+// them as JSON lines so a developer (or a test) can read what was "sent".
+// Delivery status can be simulated by POSTing { id, status } to the webhook,
+// and an incoming SMS by POSTing { from, text } to the inbound webhook.
+
+function createConsoleProvider({ file } = {}) {
+    async function send({ to, body }) {
+        const providerMessageId = `console-${crypto.randomUUID()}`;
+        log.info('SMS not sent (console provider).', { to, body, providerMessageId });
+        if (file) {
+            await fs.appendFile(file, JSON.stringify({ id: providerMessageId, to, body, at: new Date().toISOString() }) + '\n');
+        }
+        return { providerMessageId };
+    }
+
+    function parseStatus(req) {
+        const { id, status, error } = req.body || {};
+        return { providerMessageId: id, status: ['sent', 'delivered', 'failed'].includes(status) ? status : null, error: error || null };
+    }
+
+    function parseInbound(req) {
+        const { from, text } = req.body || {};
+        return { from, text: text || '' };
+    }
+
+    return { name: 'console', send, parseStatus, parseInbound };
+}
+
+module.exports = { createConsoleProvider };
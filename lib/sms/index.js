@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { createOutbox } = require('../outbox');
+const { createTwilioProvider } = require('./twilio');
+const { createAfricasTalkingProvider } = require('./africasTalking');
+const { createConsoleProvider } = require('./console');
+const { measure, transliterate: toGsm7 } = require('../gsm');
+const { createMetrics } = require('../metrics');
+const { log } = require('../logger');
+
+// --- Outbound SMS ---
+// queueSms() only records the message and puts it on a durable outbox, so a
+// USSD hop never waits on the provider. The outbox is flushed right after
+// (without blocking the caller), by the periodic job, and on retry with
+// backoff for transient provider errors. Each message keeps a status record
+// (queued -> sent -> delivered | failed) updated by the provider's delivery
+// webhook.
+//
+// With `transliterate`, bodies are rewritten to the GSM-7 alphabet before
+// queuing (see lib/gsm.js); every record notes its encoding and segment count.
+// Calls to the provider are counted in `metrics` (sms_provider_requests_total
+// by provider and outcome: sent, retry, failed; and their duration).
+//
+// A provider is { name, send({ to, body }) -> { providerMessageId },
+// parseStatus(req) -> { providerMessageId, status, error },
+// parseInbound(req) -> { from, text, channel? } }; send() marks errors that retrying
+// can't fix with `permanent: true`. Providers that reply to incoming SMS in
+// the webhook response (Twilio) also have respondInbound(res, text), and
+// report `channel: 'whatsapp'` for WhatsApp messages ('sms' otherwise).
+// Providers that sign their webhooks have `signsWebhooks: true`, and
+// verifyRequest(req) -> boolean unless checking is turned off.
+
+const PROVIDERS = {
+    twilio: createTwilioProvider,
+    africastalking: createAfricasTalkingProvider,
+    console: createConsoleProvider
+};
+
+// Later statuses win; callbacks can arrive out of order
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, failed: 2 };
+
+const E164_PATTERN = /^\+?[1-9]\d{1,14}$/;
+
+function createSmsProvider(name, options) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown SMS provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return factory(options);
+}
+
+function createSmsService({ provider, queueStore, messageStore, transliterate = false, recordTtlMs = 7 * 24 * 60 * 60 * 1000, maxAttempts = 5, baseDelayMs = 15 * 1000, now = Date.now, metrics = createMetrics() }) {
+    const outbox = createOutbox({
+        store: queueStore,
+        deliver: deliverMessage,
+        onGiveUp: (item, error) => updateStatus(item.payload.id, 'failed', error.message),
+        failedTtlMs: recordTtlMs,
+        maxAttempts,
+        baseDelayMs,
+        now
+    });
+
+    const requestsTotal = metrics.counter('sms_provider_requests_total', 'SMS provider calls by provider and outcome (sent, retry, failed).', ['provider', 'outcome']);
+    const requestDuration = metrics.histogram('sms_provider_request_duration_seconds', 'Time the SMS provider took to accept a message.', ['provider']);
+
+    async function updateStatus(id, status, error) {
+        const record = await messageStore.get(id);
+        if (!record) return null;
+        if (STATUS_RANK[status] < STATUS_RANK[record.status]) return record;
+        record.status = status;
+        record.updatedAt = now();
+        record.history.push({ status, at: now(), ...(error ? { error } : {}) });
+        await messageStore.set(id, record, { ttlMs: recordTtlMs });
+        return record;
+    }
+
+    async function sendThroughProvider(message) {
+        const stopTimer = requestDuration.startTimer({ provider: provider.name });
+        try {
+            const result = await provider.send(message);
+            requestsTotal.inc({ provider: provider.name, outcome: 'sent' });
+            return result;
+        } catch (error) {
+            requestsTotal.inc({ provider: provider.name, outcome: error.permanent ? 'failed' : 'retry' });
+            throw error;
+        } finally {
+            stopTimer();
+        }
+    }
+
+    async function deliverMessage({ id, to, body }) {
+        const { providerMessageId } = await sendThroughProvider({ to, body });
+        // Delivery reports only carry the provider's id; keep a way back to ours
+        await messageStore.set(`provider:${provider.name}:${providerMessageId}`, { id }, { ttlMs: recordTtlMs });
+        const record = await messageStore.get(id);
+        if (record) {
+            record.providerMessageId = providerMessageId;
+            await messageStore.set(id, record, { ttlMs: recordTtlMs });
+        }
+        await updateStatus(id, 'sent');
+    }
+
+    function flushInBackground() {
+        setImmediate(() => {
+            outbox.flush().catch(error => log.error('Error flushing SMS outbox.', { error }));
+        });
+    }
+
+    // Resolves to { queued: true, id } or { queued: false, reason } where
+    // reason is "missing" or "invalidNumber"
+    async function queueSms(to, originalBody) {
+        if (!to || !originalBody) return { queued: false, reason: 'missing' };
+        if (!E164_PATTERN.test(to)) return { queued: false, reason: 'invalidNumber' };
+
+        const body = transliterate ? toGsm7(originalBody) : originalBody;
+        const { encoding, segments } = measure(body);
+        const id = crypto.randomUUID();
+        await messageStore.set(id, {
+            id,
+            to,
+            body,
+            encoding,
+            segments,
+            provider: provider.name,
+            status: 'queued',
+            createdAt: now(),
+            updatedAt: now(),
+            history: [{ status: 'queued', at: now() }]
+        }, { ttlMs: recordTtlMs });
+        await outbox.enqueue({ id, to, body }, { id });
+        flushInBackground();
+        return { queued: true, id };
+    }
+
+    // Called by the delivery webhook with the provider's parsed report
+    async function recordStatus({ providerMessageId, status, error }) {
+        if (!providerMessageId || !status) return null;
+        const link = await messageStore.get(`provider:${provider.name}:${providerMessageId}`);
+        if (!link) {
+            log.warn('Delivery report for an unknown message.', { provider: provider.name, providerMessageId });
+            return null;
+        }
+        return updateStatus(link.id, status, error);
+    }
+
+    async function getMessage(id) {
+        return messageStore.get(id);
+    }
+
+    // Erases a recipient: drops their messages still in the outbox and deletes
+    // the status records (which hold the number and the full text)
+    async function erase(phoneNumber) {
+        const dropped = await outbox.rewrite(payload => (payload.to === phoneNumber ? null : payload));
+        let deleted = 0;
+        for (const key of await messageStore.keys()) {
+            const record = await messageStore.get(key);
+            if (!record || record.to !== phoneNumber) continue;
+            if (record.providerMessageId) await messageStore.delete(`provider:${record.provider}:${record.providerMessageId}`);
+            await messageStore.delete(key);
+            deleted++;
+        }
+        return { dropped, deleted };
+    }
+
+    return { queueSms, recordStatus, getMessage, erase, flush: outbox.flush, provider };
+}
+
+module.exports = { createSmsService, createSmsProvider };
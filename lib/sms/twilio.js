@@ -0,0 +1,79 @@
+const twilio = require('twilio');
+
+// --- Twilio SMS provider ---
+
+// Errors retrying can't fix: invalid 'To' number, unsubscribed/inactive/blocked
+// recipient, or no permission for the destination region.
+const PERMANENT_ERROR_CODES = [21211, 21408, 21610, 21612, 21614];
+
+// Twilio message statuses -> our sent/delivered/failed (others are ignored)
+const STATUS_MAP = {
+    sent: 'sent',
+    delivered: 'delivered',
+    undelivered: 'failed',
+    failed: 'failed'
+};
+
+// With validateSignature, webhooks must carry a valid X-Twilio-Signature.
+// Twilio signs the public URL it called, so behind a proxy set publicBaseUrl
+// (otherwise it is rebuilt from the request).
+function createTwilioProvider({ accountSid, authToken, from, statusCallback, client, validateSignature = false, publicBaseUrl }) {
+    const twilioClient = client || twilio(accountSid, authToken);
+
+    async function send({ to, body }) {
+        try {
+            const message = await twilioClient.messages.create({
+                body,
+                from,
+                to,
+                ...(statusCallback ? { statusCallback } : {})
+            });
+            return { providerMessageId: message.sid };
+        } catch (error) {
+            const status = error.status || 0;
+            error.permanent = PERMANENT_ERROR_CODES.includes(error.code) || (status >= 400 && status < 500 && status !== 429);
+            throw error;
+        }
+    }
+
+    function parseStatus(req) {
+        const { MessageSid, MessageStatus, ErrorCode } = req.body || {};
+        return { providerMessageId: MessageSid, status: STATUS_MAP[MessageStatus] || null, error: ErrorCode || null };
+    }
+
+    // WhatsApp messages arrive on the same webhook, from "whatsapp:+244..."
+    function parseInbound(req) {
+        const { From, Body } = req.body || {};
+        const whatsapp = /^whatsapp:/i.test(From || '');
+        return {
+            from: whatsapp ? From.replace(/^whatsapp:/i, '') : From,
+            text: Body || '',
+            channel: whatsapp ? 'whatsapp' : 'sms'
+        };
+    }
+
+    // Twilio sends the reply itself when the webhook answers with TwiML
+    function respondInbound(res, text) {
+        const response = new twilio.twiml.MessagingResponse();
+        if (text) response.message(text);
+        res.type('text/xml').send(response.toString());
+    }
+
+    function verifyRequest(req) {
+        const signature = req.get('X-Twilio-Signature');
+        const baseUrl = publicBaseUrl ? publicBaseUrl.replace(/\/+$/, '') : `${req.protocol}://${req.get('host')}`;
+        return Boolean(signature) && twilio.validateRequest(authToken, signature, `${baseUrl}${req.originalUrl}`, req.body || {});
+    }
+
+    return {
+        name: 'twilio',
+        signsWebhooks: true,
+        send,
+        parseStatus,
+        parseInbound,
+        respondInbound,
+        ...(validateSignature ? { verifyRequest } : {})
+    };
+}
+
+module.exports = { createTwilioProvider };
@@ -0,0 +1,155 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('../logger');
+
+// --- File-backed store ---
+// One JSON file per key under <dir>/<namespace>/. File names are a hash of the
+// key, so caller-supplied ids (e.g. a gateway's sessionId) can never escape the
+// directory. Writes go to a temp file and are renamed into place, so a process
+// killed mid-write leaves the previous value intact. increment() and add() hold
+// a lock file next to the entry, so processes sharing the directory don't race.
+
+const LOCK_RETRY_MS = 10;
+const LOCK_STALE_MS = 5000; // a lock older than this was left by a crashed process
+
+function createFileStore(options = {}) {
+    if (!options.dir) throw new Error('File store requires a directory.');
+    const dir = options.namespace ? path.join(options.dir, options.namespace) : options.dir;
+    const now = options.now || Date.now;
+    let ready;
+
+    function ensureDir() {
+        if (!ready) ready = fs.mkdir(dir, { recursive: true });
+        return ready;
+    }
+
+    function fileFor(key) {
+        return path.join(dir, crypto.createHash('sha256').update(String(key)).digest('hex') + '.json');
+    }
+
+    async function readEntry(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            if (error instanceof SyntaxError) {
+                log.warn('Discarding corrupt store entry.', { file });
+                await fs.rm(file, { force: true });
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    function isExpired(entry) {
+        return entry.expiresAt !== null && entry.expiresAt <= now();
+    }
+
+    async function get(key) {
+        const file = fileFor(key);
+        const entry = await readEntry(file);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            await fs.rm(file, { force: true });
+            return null;
+        }
+        return entry.value;
+    }
+
+    async function writeEntry(file, entry) {
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(entry));
+        await fs.rename(tmp, file);
+    }
+
+    async function set(key, value, { ttlMs } = {}) {
+        await ensureDir();
+        await writeEntry(fileFor(key), { key, value, expiresAt: ttlMs ? now() + ttlMs : null });
+    }
+
+    async function withLock(file, fn) {
+        await ensureDir();
+        const lock = `${file}.lock`;
+        for (;;) {
+            try {
+                await (await fs.open(lock, 'wx')).close();
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                const stat = await fs.stat(lock).catch(() => null);
+                if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) await fs.rm(lock, { force: true });
+                else await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+            }
+        }
+        try {
+            return await fn();
+        } finally {
+            await fs.rm(lock, { force: true });
+        }
+    }
+
+    async function increment(key, { by = 1, ttlMs } = {}) {
+        const file = fileFor(key);
+        return withLock(file, async () => {
+            const entry = await readEntry(file);
+            const live = entry && !isExpired(entry);
+            const value = (live ? entry.value : 0) + by;
+            await writeEntry(file, { key, value, expiresAt: live ? entry.expiresAt : (ttlMs ? now() + ttlMs : null) });
+            return value;
+        });
+    }
+
+    async function add(key, value, { ttlMs } = {}) {
+        const file = fileFor(key);
+        return withLock(file, async () => {
+            const entry = await readEntry(file);
+            if (entry && !isExpired(entry)) return false;
+            await writeEntry(file, { key, value, expiresAt: ttlMs ? now() + ttlMs : null });
+            return true;
+        });
+    }
+
+    async function del(key) {
+        await fs.rm(fileFor(key), { force: true });
+    }
+
+    async function listFiles() {
+        try {
+            const names = await fs.readdir(dir);
+            return names.filter(name => name.endsWith('.json')).map(name => path.join(dir, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // Expired entries are removed along the way
+    async function keys() {
+        const found = [];
+        for (const file of await listFiles()) {
+            const entry = await readEntry(file);
+            if (!entry) continue;
+            if (isExpired(entry)) await fs.rm(file, { force: true });
+            else found.push(entry.key);
+        }
+        return found;
+    }
+
+    async function sweep() {
+        await keys();
+    }
+
+    const sweepTimer = setInterval(() => {
+        sweep().catch(error => log.error('Error sweeping store.', { dir, error }));
+    }, options.sweepIntervalMs || 5 * 60 * 1000);
+    sweepTimer.unref();
+
+    async function close() {
+        clearInterval(sweepTimer);
+    }
+
+    return { get, set, delete: del, increment, add, keys, sweep, close };
+}
+
+module.exports = { createFileStore };
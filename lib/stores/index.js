@@ -0,0 +1,35 @@
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createRedisStore } = require('./redis');
+
+// --- Key/value store factory ---
+// All drivers share one async interface:
+//   get(key) -> value | null
+//   set(key, value, { ttlMs })
+//   delete(key)
+//   increment(key, { by, ttlMs }) -> the new number, atomically; a new key
+//             starts from 0 and gets `ttlMs`, an existing one keeps its expiry
+//   add(key, value, { ttlMs }) -> true if the key was free and is now set,
+//             false if it already had a live value (atomically, for leases)
+//   keys()    keys of all live entries in the namespace
+//   sweep()   remove expired entries (no-op where the backend expires them)
+//   close()
+// `driver` is one of "memory", "file" or "redis"; `namespace` keeps unrelated
+// data (sessions, preferences...) apart within the same backend.
+
+const DRIVERS = {
+    memory: createMemoryStore,
+    file: createFileStore,
+    redis: options => createRedisStore({ ...options, url: options.redisUrl })
+};
+
+function createStore(options = {}) {
+    const driver = options.driver || 'memory';
+    const factory = DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Unknown store driver "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}.`);
+    }
+    return factory(options);
+}
+
+module.exports = { createStore };
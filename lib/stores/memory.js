@@ -0,0 +1,76 @@
+// --- In-memory store ---
+// Values are kept as JSON strings so callers get the same copy semantics as
+// with the file and Redis drivers (mutating a loaded value never changes the
+// stored one until it is saved again). Expired entries are dropped on read and
+// by a periodic sweep, so abandoned USSD sessions don't pile up.
+
+function createMemoryStore(options = {}) {
+    const now = options.now || Date.now;
+    const entries = new Map(); // key -> { json, expiresAt }
+
+    function isExpired(entry) {
+        return entry.expiresAt !== null && entry.expiresAt <= now();
+    }
+
+    function sweep() {
+        for (const [key, entry] of entries) {
+            if (isExpired(entry)) entries.delete(key);
+        }
+    }
+
+    const sweepTimer = setInterval(sweep, options.sweepIntervalMs || 60 * 1000);
+    sweepTimer.unref();
+
+    async function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            entries.delete(key);
+            return null;
+        }
+        return JSON.parse(entry.json);
+    }
+
+    async function set(key, value, { ttlMs } = {}) {
+        entries.set(key, {
+            json: JSON.stringify(value),
+            expiresAt: ttlMs ? now() + ttlMs : null
+        });
+    }
+
+    // Synchronous between read and write, so concurrent calls can't interleave
+    async function increment(key, { by = 1, ttlMs } = {}) {
+        const entry = entries.get(key);
+        const live = entry && !isExpired(entry);
+        const value = (live ? JSON.parse(entry.json) : 0) + by;
+        entries.set(key, {
+            json: JSON.stringify(value),
+            expiresAt: live ? entry.expiresAt : (ttlMs ? now() + ttlMs : null)
+        });
+        return value;
+    }
+
+    async function add(key, value, { ttlMs } = {}) {
+        const entry = entries.get(key);
+        if (entry && !isExpired(entry)) return false;
+        await set(key, value, { ttlMs });
+        return true;
+    }
+
+    async function del(key) {
+        entries.delete(key);
+    }
+
+    async function keys() {
+        sweep();
+        return Array.from(entries.keys());
+    }
+
+    async function close() {
+        clearInterval(sweepTimer);
+    }
+
+    return { get, set, delete: del, increment, add, keys, sweep, close };
+}
+
+module.exports = { createMemoryStore };
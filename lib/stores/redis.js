@@ -0,0 +1,183 @@
+const net = require('net');
+const tls = require('tls');
+const { log } = require('../logger');
+
+// --- Redis-protocol store ---
+// A deliberately small RESP2 client (GET/SET/DEL/SCAN/INCRBY/PEXPIRE plus AUTH/SELECT) so sessions
+// can be shared between serverless instances without adding a dependency. It
+// works with Redis and compatible servers (Upstash, KeyDB, Valkey...). Values
+// are stored as JSON; TTLs use SET ... PX so expiry is handled server-side.
+
+// Parses one RESP reply starting at `offset`. Returns null when the buffer
+// doesn't hold a complete reply yet.
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    if (type === '+') return { value: line, offset: next };
+    if (type === '-') return { value: new Error(line), offset: next };
+    if (type === ':') return { value: parseInt(line, 10), offset: next };
+    if (type === '$') {
+        const length = parseInt(line, 10);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    if (type === '*') {
+        const count = parseInt(line, 10);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+            const item = parseReply(buffer, cursor);
+            if (!item) return null;
+            items.push(item.value);
+            cursor = item.offset;
+        }
+        return { value: items, offset: cursor };
+    }
+    throw new Error(`Unexpected RESP reply type "${type}".`);
+}
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const str = String(arg);
+        out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+    }
+    return out;
+}
+
+function createRedisConnection(url, { timeoutMs = 2000 } = {}) {
+    const target = new URL(url);
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+    let pending = []; // FIFO of { resolve, reject } awaiting replies
+
+    function failAll(error) {
+        const waiting = pending;
+        pending = [];
+        waiting.forEach(({ reject }) => reject(error));
+    }
+
+    function connect() {
+        const port = parseInt(target.port, 10) || 6379;
+        const connectOptions = { host: target.hostname, port };
+        const current = target.protocol === 'rediss:'
+            ? tls.connect({ ...connectOptions, servername: target.hostname })
+            : net.connect(connectOptions);
+        socket = current;
+        // Idle connections are dropped and reopened lazily on the next command
+        current.setTimeout(timeoutMs);
+
+        current.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let reply;
+            while (buffer.length && (reply = parseReply(buffer))) {
+                buffer = buffer.subarray(reply.offset);
+                const waiter = pending.shift();
+                if (!waiter) continue;
+                if (reply.value instanceof Error) waiter.reject(reply.value);
+                else waiter.resolve(reply.value);
+            }
+        });
+        current.on('timeout', () => current.destroy(new Error('Redis connection timed out.')));
+        current.on('error', error => failAll(error));
+        current.on('close', () => {
+            if (socket !== current) return;
+            socket = null;
+            buffer = Buffer.alloc(0);
+            failAll(new Error('Redis connection closed.'));
+        });
+
+        // Queued before any caller command, so they run first on the new socket
+        const setup = [];
+        if (target.password) {
+            const auth = target.username
+                ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+                : ['AUTH', decodeURIComponent(target.password)];
+            setup.push(send(auth));
+        }
+        const db = target.pathname.replace('/', '');
+        if (db) setup.push(send(['SELECT', db]));
+        setup.forEach(promise => promise.catch(error => log.error('Redis connection setup failed.', { error })));
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            pending.push({ resolve, reject });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    function command(...args) {
+        if (!socket) connect();
+        return send(args);
+    }
+
+    function close() {
+        if (socket) socket.end();
+    }
+
+    return { command, close };
+}
+
+function createRedisStore(options = {}) {
+    if (!options.url) throw new Error('Redis store requires a URL.');
+    const connection = options.connection || createRedisConnection(options.url, options);
+    const prefix = [options.prefix || 'mapazzz', options.namespace].filter(Boolean).join(':') + ':';
+
+    async function get(key) {
+        const json = await connection.command('GET', prefix + key);
+        return json === null ? null : JSON.parse(json);
+    }
+
+    async function set(key, value, { ttlMs } = {}) {
+        const args = ['SET', prefix + key, JSON.stringify(value)];
+        if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+        await connection.command(...args);
+    }
+
+    async function del(key) {
+        await connection.command('DEL', prefix + key);
+    }
+
+    // SET ... NX only writes a key that doesn't exist (expired keys are gone)
+    async function add(key, value, { ttlMs } = {}) {
+        const args = ['SET', prefix + key, JSON.stringify(value)];
+        if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+        return (await connection.command(...args, 'NX')) === 'OK';
+    }
+
+    // INCRBY is atomic on the server; a key it just created gets the TTL
+    async function increment(key, { by = 1, ttlMs } = {}) {
+        const value = await connection.command('INCRBY', prefix + key, by);
+        if (ttlMs && value === by) await connection.command('PEXPIRE', prefix + key, Math.ceil(ttlMs));
+        return value;
+    }
+
+    async function keys() {
+        const found = [];
+        let cursor = '0';
+        do {
+            const [nextCursor, batch] = await connection.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+            batch.forEach(key => found.push(key.slice(prefix.length)));
+            cursor = nextCursor;
+        } while (cursor !== '0');
+        return found;
+    }
+
+    // Redis expires keys on its own
+    async function sweep() {}
+
+    async function close() {
+        connection.close();
+    }
+
+    return { get, set, delete: del, increment, add, keys, sweep, close };
+}
+
+module.exports = { createRedisStore, createRedisConnection, parseReply, encodeCommand };
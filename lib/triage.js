@@ -0,0 +1,145 @@
+const { Type } = require('@google/genai');
+const { log } = require('./logger');
+
+// --- Malaria triage ---
+// A short questionnaire in the spirit of the WHO/IMCI approach for endemic
+// areas: general danger signs are checked first, then fever and the
+// symptoms that go with malaria, then who is ill (young children and pregnant
+// women need a test the same day). Answers are scored by Gemini with a JSON
+// response schema when it is available; scoreTriage() is the deterministic
+// fallback and is always used for danger signs, so the urgent referral never
+// depends on the model.
+
+// Asked in this order; `when` skips a question based on earlier answers.
+// Texts are catalog entries "triage.<id>".
+const TRIAGE_QUESTIONS = [
+    { id: 'dangerSigns', type: 'yesno' },
+    { id: 'fever', type: 'yesno' },
+    { id: 'feverDays', type: 'number', min: 1, max: 30, when: answers => answers.fever },
+    { id: 'chills', type: 'yesno' },
+    { id: 'headache', type: 'yesno' },
+    { id: 'vomiting', type: 'yesno' },
+    { id: 'childUnder5', type: 'yesno' },
+    { id: 'pregnant', type: 'yesno', when: answers => !answers.childUnder5 },
+    { id: 'recentTravel', type: 'yesno' }
+];
+
+const MIN_PROBABILITY = 5;
+const MAX_PROBABILITY = 95;
+
+// Without fever malaria is unlikely whatever else is reported
+const NO_FEVER_CEILING = 25;
+
+const TRIAGE_RESPONSE_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        probability: { type: Type.INTEGER, minimum: 0, maximum: 100, description: 'Probability of malaria, 0 to 100' },
+        dangerSign: { type: Type.BOOLEAN, description: 'True if any sign of severe malaria is present' }
+    },
+    required: ['probability', 'dangerSign']
+};
+
+function nextQuestion(answers, afterId) {
+    const start = afterId ? TRIAGE_QUESTIONS.findIndex(question => question.id === afterId) + 1 : 0;
+    return TRIAGE_QUESTIONS.slice(start).find(question => !question.when || question.when(answers)) || null;
+}
+
+function clampProbability(value) {
+    return Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY, Math.round(value)));
+}
+
+function isHighRiskGroup(answers) {
+    return Boolean(answers.childUnder5 || answers.pregnant);
+}
+
+function scoreTriage(answers) {
+    let score = MIN_PROBABILITY;
+    if (answers.fever) score += 40;
+    if (answers.fever && answers.feverDays >= 2) score += 10;
+    if (answers.chills) score += 15;
+    if (answers.headache) score += 10;
+    if (answers.vomiting) score += 10;
+    if (answers.recentTravel) score += 10;
+    if (!answers.fever) score = Math.min(score, NO_FEVER_CEILING);
+
+    return {
+        probability: clampProbability(score),
+        dangerSign: Boolean(answers.dangerSigns),
+        highRiskGroup: isHighRiskGroup(answers),
+        source: 'rules'
+    };
+}
+
+// Returns { probability, dangerSign } or null if the model's output doesn't
+// match the schema
+function parseAiAssessment(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+        return null;
+    }
+    if (!parsed || typeof parsed !== 'object') return null;
+    const probability = Number(parsed.probability);
+    if (!Number.isFinite(probability) || probability < 0 || probability > 100) return null;
+    if (typeof parsed.dangerSign !== 'boolean') return null;
+    return { probability, dangerSign: parsed.dangerSign };
+}
+
+// The answers as sent to the model: only what was asked, as plain JSON
+function summarizeAnswers(answers) {
+    const summary = {};
+    TRIAGE_QUESTIONS.forEach(({ id }) => {
+        if (answers[id] !== undefined) summary[id] = answers[id];
+    });
+    return JSON.stringify(summary);
+}
+
+// askAi(answers) resolves to the model's raw text; when it is missing, fails
+// or returns something unusable the rule-based score is used instead
+async function assessTriage(answers, { askAi } = {}) {
+    const rules = scoreTriage(answers);
+    if (!askAi) return rules;
+
+    let assessment = null;
+    try {
+        assessment = parseAiAssessment(await askAi(answers));
+        if (!assessment) log.warn('Unusable AI triage output. Using the rule-based score.');
+    } catch (error) {
+        log.error('Error calling AI for malaria triage. Using the rule-based score.', { error });
+    }
+    if (!assessment) return rules;
+
+    return {
+        probability: clampProbability(assessment.probability),
+        dangerSign: rules.dangerSign || assessment.dangerSign,
+        highRiskGroup: rules.highRiskGroup,
+        source: 'ai'
+    };
+}
+
+// Catalog key of the advice that goes with an assessment
+function adviceKey({ probability, highRiskGroup }, answers) {
+    if (highRiskGroup && answers.fever) return 'triage.advice.highRiskGroup';
+    if (probability >= 50) return 'triage.advice.high';
+    if (probability >= 20) return 'triage.advice.medium';
+    return 'triage.advice.low';
+}
+
+// The result text for an assessment, with `t` the caller's translator
+function triageMessage(t, assessment, answers) {
+    if (assessment.dangerSign) return t('triage.urgent');
+    return [t('triage.result', { probability: assessment.probability }), t(adviceKey(assessment, answers)), t('triage.disclaimer')].join(' ');
+}
+
+module.exports = {
+    TRIAGE_QUESTIONS,
+    TRIAGE_RESPONSE_SCHEMA,
+    nextQuestion,
+    scoreTriage,
+    parseAiAssessment,
+    summarizeAnswers,
+    assessTriage,
+    adviceKey,
+    triageMessage
+};
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createAlertService, ALL_MUNICIPALITIES } = require('../lib/alerts');
+
+const HOUR = 60 * 60 * 1000;
+
+// Zones come from a mutable snapshot, so each test can move risk levels between runs
+// Passing `shared` from another createAlerts() gives a second instance on the same stores
+function createAlerts({ maxAlertsPerDay, shared } = {}) {
+    const clock = shared ? shared.clock : { now: Date.UTC(2026, 9, 1, 8) };
+    const now = () => clock.now;
+    const zones = shared ? shared.zones : { items: [], stale: false };
+    const sent = shared ? shared.sent : [];
+    const stores = shared ? shared.stores : {
+        subscriptionStore: createStore({ driver: 'memory', namespace: 'alerts', now }),
+        stateStore: createStore({ driver: 'memory', namespace: 'alerts_state', now })
+    };
+    const alerts = createAlertService({
+        ...stores,
+        mapazzz: { getZones: async () => ({ items: zones.items.map(zone => ({ ...zone })), stale: zones.stale }) },
+        sendSms: async (phoneNumber, body, lang) => { sent.push({ phoneNumber, body, lang }); },
+        maxAlertsPerDay,
+        now
+    });
+    return { alerts, zones, sent, clock, stores };
+}
+
+test('the first run only records a baseline', async () => {
+    const { alerts, zones, sent } = createAlerts();
+    await alerts.subscribe('+244923000001', { municipality: ALL_MUNICIPALITIES, lang: 'pt' });
+    zones.items = [{ id: 'z1', location: 'Cazenga', municipality: 'Cazenga', riskLevel: 4 }];
+
+    assert.deepStrictEqual(await alerts.checkZones(), { baseline: 1, alerted: 0, capped: 0 });
+    assert.deepStrictEqual(sent, [], 'zones already at high risk are not news');
+    assert.deepStrictEqual(await alerts.checkZones(), { risen: 0, alerted: 0, capped: 0 });
+});
+
+test('alerts subscribers when a zone rises to their threshold', async () => {
+    const { alerts, zones, sent } = createAlerts();
+    await alerts.subscribe('+244923000001', { municipality: ALL_MUNICIPALITIES, lang: 'pt' });
+    await alerts.subscribe('+244923000002', { municipality: ALL_MUNICIPALITIES, threshold: 5, lang: 'pt' });
+    zones.items = [{ id: 'z1', location: 'Cazenga', riskLevel: 1 }, { id: 'z2', location: 'Viana', riskLevel: 2 }];
+    await alerts.checkZones();
+
+    zones.items = [{ id: 'z1', location: 'Cazenga', riskLevel: 3 }, { id: 'z2', location: 'Viana', riskLevel: 2 }];
+    assert.deepStrictEqual(await alerts.checkZones(), { risen: 1, alerted: 1, capped: 0 });
+    assert.deepStrictEqual(sent, [{
+        phoneNumber: '+244923000001',
+        body: 'MapaZZZ ALERTA: o risco subiu em Cazenga. Use mosquiteiro e elimine água parada. Responda PARAR para cancelar.',
+        lang: 'pt'
+    }]);
+
+    // Rising further within the range already alerted about is not a new alert
+    zones.items = [{ id: 'z1', location: 'Cazenga', riskLevel: 4 }, { id: 'z2', location: 'Viana', riskLevel: 2 }];
+    assert.deepStrictEqual(await alerts.checkZones(), { risen: 1, alerted: 0, capped: 0 });
+    assert.strictEqual(sent.length, 1);
+});
+
+test('matches the municipality field, or the location of older zone records', async () => {
+    const { alerts, zones, sent } = createAlerts();
+    await alerts.subscribe('+244923000001', { municipality: 'Viana', lang: 'pt' });
+    await alerts.subscribe('+244923000002', { municipality: 'Cazenga', lang: 'en' });
+    zones.items = [
+        { id: 'z1', location: 'Bairro Estalagem', municipality: 'VIANA', riskLevel: 1 },
+        { id: 'z2', location: 'Cazenga, Hoji-ya-Henda', riskLevel: 1 },
+        { id: 'z3', location: 'Talatona', municipality: 'Talatona', riskLevel: 1 }
+    ];
+    await alerts.checkZones();
+
+    zones.items.forEach(zone => { zone.riskLevel = 3; });
+    assert.deepStrictEqual(await alerts.checkZones(), { risen: 3, alerted: 2, capped: 0 });
+    const bodies = Object.fromEntries(sent.map(({ phoneNumber, body }) => [phoneNumber, body]));
+    assert.match(bodies['+244923000001'], /Bairro Estalagem\./);
+    assert.doesNotMatch(bodies['+244923000001'], /Talatona|Cazenga/);
+    assert.match(bodies['+244923000002'], /Cazenga, Hoji-ya-Henda/);
+    assert.doesNotMatch(bodies['+244923000002'], /Estalagem|Talatona/);
+});
+
+test('caps alerts per number and per Luanda day', async () => {
+    const { alerts, zones, sent, clock } = createAlerts({ maxAlertsPerDay: 2 });
+    await alerts.subscribe('+244923000001', { municipality: ALL_MUNICIPALITIES, lang: 'pt' });
+    zones.items = [1, 2, 3, 4].map(n => ({ id: `z${n}`, location: `Zona ${n}`, riskLevel: 1 }));
+    await alerts.checkZones();
+
+    const raise = async n => {
+        zones.items[n - 1].riskLevel = 3;
+        return alerts.checkZones();
+    };
+    assert.deepStrictEqual(await raise(1), { risen: 1, alerted: 1, capped: 0 });
+    assert.deepStrictEqual(await raise(2), { risen: 1, alerted: 1, capped: 0 });
+    assert.deepStrictEqual(await raise(3), { risen: 1, alerted: 0, capped: 1 });
+    assert.strictEqual(sent.length, 2);
+
+    // 08:00 UTC + 16h is 01:00 the next day in Luanda (UTC+1)
+    clock.now += 16 * HOUR;
+    assert.deepStrictEqual(await raise(4), { risen: 1, alerted: 1, capped: 0 });
+    assert.match(sent[2].body, /Zona 4/);
+});
+
+test('skips stale zone data without touching the snapshot', async () => {
+    const { alerts, zones, sent } = createAlerts();
+    await alerts.subscribe('+244923000001', { municipality: ALL_MUNICIPALITIES, lang: 'pt' });
+    zones.items = [{ id: 'z1', location: 'Cazenga', riskLevel: 1 }];
+    await alerts.checkZones();
+
+    zones.items = [{ id: 'z1', location: 'Cazenga', riskLevel: 3 }];
+    zones.stale = true;
+    assert.deepStrictEqual(await alerts.checkZones(), { skipped: 'stale zone data' });
+    assert.deepStrictEqual(sent, []);
+
+    // Once fresh data is back, the rise is still measured from the last fresh run
+    zones.stale = false;
+    assert.deepStrictEqual(await alerts.checkZones(), { risen: 1, alerted: 1, capped: 0 });
+    assert.strictEqual(sent.length, 1);
+});
+
+test('instances sharing the state store do not run at the same time', async () => {
+    const first = createAlerts();
+    const second = createAlerts({ shared: first });
+    await first.alerts.subscribe('+244923000001', { municipality: ALL_MUNICIPALITIES, lang: 'pt' });
+    first.zones.items = [{ id: 'z1', location: 'Cazenga', riskLevel: 1 }];
+    await first.alerts.checkZones();
+
+    first.zones.items = [{ id: 'z1', location: 'Cazenga', riskLevel: 3 }];
+    const results = await Promise.all([first.alerts.checkZones(), second.alerts.checkZones()]);
+    assert.deepStrictEqual(results, [{ risen: 1, alerted: 1, capped: 0 }, { skipped: 'another run in progress' }]);
+    assert.strictEqual(first.sent.length, 1);
+
+    // The claim is released when the run ends
+    assert.deepStrictEqual(await second.alerts.checkZones(), { risen: 0, alerted: 0, capped: 0 });
+});
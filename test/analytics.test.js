@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createMetrics } = require('../lib/metrics');
+const { createAnalytics } = require('../lib/analytics');
+const { createFakeMapazzz } = require('../lib/simulator/fakes');
+const { createDialog, createHttpSender } = require('../lib/simulator/dialog');
+const { startApp } = require('../lib/simulator/harness');
+
+const MINUTE = 60 * 1000;
+
+function createClockedAnalytics() {
+    let clock = Date.UTC(2026, 9, 1);
+    const now = () => clock;
+    const metrics = createMetrics();
+    const analytics = createAnalytics({ store: createStore({ driver: 'memory', namespace: 'analytics', now }), metrics, idleMs: 5 * MINUTE, now });
+    return { analytics, metrics, advance: ms => { clock += ms; } };
+}
+
+const visit = (...screens) => screens.map(screen => ({ type: 'screen_entered', screen }));
+
+test('reports drop-off per screen and funnels', async () => {
+    const { analytics, metrics, advance } = createClockedAnalytics();
+    const funnels = { report: ['menu', 'reports_menu', 'report_category_selection', 'report_confirm'] };
+
+    // Files a report
+    await analytics.record('s1', [{ type: 'session_started' }, ...visit('menu')]);
+    await analytics.record('s1', [{ type: 'option_chosen', screen: 'menu', option: 2 }, ...visit('reports_menu')]);
+    await analytics.record('s1', [...visit('report_category_selection', 'report_confirm'), { type: 'session_ended', screen: 'report_confirm' }, { type: 'sms_sent' }]);
+    // Hangs up on the category list
+    await analytics.record('s2', [{ type: 'session_started' }, ...visit('menu', 'reports_menu', 'report_category_selection')]);
+    await analytics.record('s2', [{ type: 'invalid_input', screen: 'report_category_selection' }]);
+    // Still dialling
+    advance(4 * MINUTE);
+    await analytics.record('s3', [{ type: 'session_started' }, ...visit('menu')]);
+    advance(2 * MINUTE);
+
+    assert.deepStrictEqual(await analytics.closeIdleSessions(), { abandoned: 1 });
+    assert.deepStrictEqual(await analytics.closeIdleSessions(), { abandoned: 0 });
+    assert.match(metrics.render(), /ussd_session_events_total\{event="session_abandoned"\} 1/);
+
+    const report = await analytics.report({ funnels });
+    assert.deepStrictEqual(report.sessions, { started: 3, ended: 1, abandoned: 1, active: 1 });
+    assert.deepStrictEqual(report.events, { ai_called: 0, sms_sent: 1, sms_failed: 0, invalid_input: 1 });
+    assert.deepStrictEqual(report.options, { menu: { 2: 1 } });
+    assert.deepStrictEqual(report.screens.find(stats => stats.screen === 'report_category_selection'),
+        { screen: 'report_category_selection', sessions: 2, ended: 0, abandoned: 1, dropOffRate: 0.5 });
+    assert.deepStrictEqual(report.funnels.report.map(step => [step.screen, step.sessions, step.ended, step.abandoned]), [
+        ['menu', 3, 0, 0],
+        ['reports_menu', 2, 0, 0],
+        ['report_category_selection', 2, 0, 1],
+        ['report_confirm', 1, 1, 0]
+    ]);
+});
+
+test('only reports sessions started in the period', async () => {
+    const { analytics, advance } = createClockedAnalytics();
+    await analytics.record('old', visit('menu'));
+    advance(10 * 24 * 60 * MINUTE);
+    await analytics.record('new', visit('menu'));
+    assert.strictEqual((await analytics.report()).sessions.started, 1);
+});
+
+test('exposes metrics and the admin analytics report over HTTP', async t => {
+    const { baseUrl: base } = await startApp(t, {
+        env: { ADMIN_TOKEN: 'segredo', METRICS_TOKEN: 'prometheus' },
+        mapazzz: createFakeMapazzz({ zones: [{ location: 'Zango 3', riskLevel: 3 }] })
+    });
+
+    const dialog = createDialog({ send: createHttpSender(`${base}/ussd`) });
+    await dialog.dial();
+    await dialog.reply('1');
+    await dialog.reply('1');
+
+    assert.strictEqual((await fetch(`${base}/metrics`)).status, 401);
+    const metrics = await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer prometheus' } });
+    assert.match(metrics.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await metrics.text();
+    assert.match(text, /ussd_requests_total\{gateway="africastalking",outcome="continue"\} 2/);
+    assert.match(text, /ussd_requests_total\{gateway="africastalking",outcome="end"\} 1/);
+    assert.match(text, /ussd_request_duration_seconds_count\{gateway="africastalking"\} 3/);
+
+    const response = await fetch(`${base}/admin/analytics/report?days=1`, { headers: { Authorization: 'Bearer segredo' } });
+    const report = await response.json();
+    assert.deepStrictEqual(report.sessions, { started: 1, ended: 1, abandoned: 0, active: 0 });
+    assert.deepStrictEqual(report.options, { menu: { 1: 1 }, zones_risk_level_selection: { 1: 1 } });
+    assert.deepStrictEqual(report.funnels.triage[0], { screen: 'menu', sessions: 1, ended: 0, abandoned: 0 });
+
+    const invalid = await fetch(`${base}/admin/analytics/report?from=ontem`, { headers: { Authorization: 'Bearer segredo' } });
+    assert.strictEqual(invalid.status, 400);
+});
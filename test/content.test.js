@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createContentService, localize } = require('../lib/content');
+const { startApp } = require('../lib/simulator/harness');
+const { createDialog, createHttpSender } = require('../lib/simulator/dialog');
+
+function createContent() {
+    return createContentService({ store: createStore({ driver: 'memory', namespace: 'content' }) });
+}
+
+const tip = (pt, text = 'Texto da dica.') => ({ label: { pt, en: `${pt} (en)` }, text: { pt: text } });
+
+test('seeds the built-in content once', async () => {
+    const content = createContent();
+    await content.seed();
+    assert.deepStrictEqual((await content.listPublished('municipalities')).map(item => item.name), ['Belas', 'Zango', 'Viana']);
+
+    for (const item of await content.list('municipalities')) await content.remove('municipalities', item.id);
+    await content.seed();
+    assert.deepStrictEqual(await content.listPublished('municipalities'), [], 'an emptied type is not seeded again');
+});
+
+test('drafts stay off the menus until published', async () => {
+    const content = createContent();
+    const item = await content.create('tips', tip('Vacinas'));
+    assert.strictEqual(item.status, 'draft');
+    assert.deepStrictEqual(await content.listPublished('tips'), []);
+
+    await content.publish('tips', item.id);
+    await content.update('tips', item.id, { label: { pt: 'Vacinação' } });
+    const [published] = await content.listPublished('tips');
+    assert.strictEqual(published.label.pt, 'Vacinas', 'an edit is a draft until published again');
+    assert.strictEqual((await content.get('tips', item.id)).status, 'changed');
+});
+
+test('keeps a version per publish and rolls back to an old one', async () => {
+    const content = createContent();
+    const { id } = await content.create('tips', tip('Malária'));
+    await content.publish('tips', id);
+    await content.update('tips', id, { label: { pt: 'Malaria com erro' } });
+    await content.publish('tips', id);
+
+    const rolledBack = await content.rollback('tips', id, 1);
+    assert.deepStrictEqual(rolledBack.versions.map(version => version.version), [1, 2, 3]);
+    assert.strictEqual(rolledBack.versions[2].rolledBackFrom, 1);
+    assert.strictEqual(rolledBack.status, 'published');
+    assert.strictEqual((await content.listPublished('tips'))[0].label.pt, 'Malária');
+    await assert.rejects(content.rollback('tips', id, 9), { status: 404 });
+});
+
+test('reorders items', async () => {
+    const content = createContent();
+    const ids = [];
+    for (const name of ['A', 'B', 'C']) {
+        const item = await content.create('municipalities', { name });
+        await content.publish('municipalities', item.id);
+        ids.push(item.id);
+    }
+    await content.reorder('municipalities', [ids[2], ids[0]]);
+    assert.deepStrictEqual((await content.listPublished('municipalities')).map(item => item.name), ['C', 'A', 'B']);
+    await assert.rejects(content.reorder('municipalities', ['nope']), { status: 400 });
+});
+
+test('caches the published lists, clearing them on changes through this instance', async t => {
+    const store = createStore({ driver: 'memory', namespace: 'content' });
+    let clock = 0;
+    const now = () => clock;
+    const content = createContentService({ store, cacheMs: 1000, now });
+    const other = createContentService({ store, cacheMs: 1000, now });
+    const { id } = await content.create('tips', tip('Vacinas'));
+    await content.publish('tips', id);
+    assert.strictEqual((await other.listPublished('tips')).length, 1);
+
+    const scans = t.mock.method(store, 'keys');
+    await other.listPublished('tips');
+    assert.strictEqual(scans.mock.callCount(), 0, 'served from the cache');
+
+    await content.unpublish('tips', id);
+    assert.deepStrictEqual(await content.listPublished('tips'), [], 'the changing instance sees it at once');
+    assert.strictEqual((await other.listPublished('tips')).length, 1, 'another instance within cacheMs');
+    clock += 1000;
+    assert.deepStrictEqual(await other.listPublished('tips'), []);
+});
+
+test('rejects invalid fields', async () => {
+    const content = createContent();
+    await assert.rejects(content.create('tips', { label: { en: 'English only' }, text: { pt: 'x' } }), { status: 400 });
+    await assert.rejects(content.create('tips', tip('x'.repeat(41))), { status: 400 });
+    await assert.rejects(content.create('emergency_contacts', { name: { pt: 'Polícia' }, number: 'ligue já' }), { status: 400 });
+    await assert.rejects(content.create('recipes', {}), { status: 404 });
+});
+
+test('localizes with a Portuguese fallback', () => {
+    assert.strictEqual(localize({ pt: 'Polícia', en: 'Police' }, 'en'), 'Police');
+    assert.strictEqual(localize({ pt: 'Polícia' }, 'kmb'), 'Polícia');
+    assert.strictEqual(localize('Belas', 'en'), 'Belas');
+});
+
+test('the tips menu ends at once when no tip is published', async t => {
+    const { baseUrl: base } = await startApp(t, { env: { ADMIN_TOKEN: 'segredo' } });
+
+    const admin = (method, path) => fetch(`${base}/admin${path}`, { method, headers: { Authorization: 'Bearer segredo' } });
+    for (const item of await (await admin('GET', '/content/tips')).json()) {
+        assert.strictEqual((await admin('POST', `/content/tips/${item.id}/unpublish`)).status, 200);
+    }
+
+    const dialog = createDialog({ send: createHttpSender(`${base}/ussd`) });
+    await dialog.dial();
+    assert.deepStrictEqual(await dialog.reply('5'), { end: true, text: 'Sem dicas disponíveis de momento.' });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createDeferredAi } = require('../lib/deferredAi');
+
+const CALLER = { phoneNumber: '+244923000001', lang: 'pt', ip: '10.0.0.1', sessionId: 'ATUid_1' };
+
+function createDeferred(run) {
+    const sent = [];
+    const recorded = [];
+    const deferredAi = createDeferredAi({
+        store: createStore({ driver: 'memory', namespace: 'ai_deferred' }),
+        tasks: { solution: { run, toSms: (result, problem, t) => (result ? `${t('common.yes')}: ${result} (${problem})` : null) } },
+        history: { record: async (phoneNumber, entry) => { recorded.push({ phoneNumber, ...entry }); } },
+        sendSms: async (to, body, lang, options) => { sent.push({ to, body, lang, options }); },
+        budgetMs: 20
+    });
+    return { deferredAi, sent, recorded };
+}
+
+test('answers within the budget without queuing anything', async () => {
+    const { deferredAi, sent } = createDeferred(async () => 'Limpe a vala.');
+    assert.deepStrictEqual(await deferredAi.run('solution', 'Vala', CALLER), { value: 'Limpe a vala.' });
+    assert.deepStrictEqual(await deferredAi.list(), []);
+    assert.deepStrictEqual(sent, []);
+});
+
+test('sends a late result by SMS once it arrives, and only once', async () => {
+    const { deferredAi, sent, recorded } = createDeferred(() => new Promise(resolve => setTimeout(() => resolve('Limpe a vala.'), 50)));
+    assert.deepStrictEqual(await deferredAi.run('solution', 'Vala', CALLER), { deferred: true });
+    assert.strictEqual((await deferredAi.list()).length, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.deepStrictEqual(await deferredAi.flush(), { delivered: 0, failed: 0, pending: 0 });
+    assert.deepStrictEqual(sent, [{ to: CALLER.phoneNumber, body: 'Sim: Limpe a vala. (Vala)', lang: 'pt', options: { ip: '10.0.0.1', sessionId: 'ATUid_1' } }]);
+    assert.deepStrictEqual(recorded, [{ phoneNumber: CALLER.phoneNumber, type: 'solution', text: 'Sim: Limpe a vala. (Vala)' }]);
+});
+
+test('the job completes analyses an instance never finished', async () => {
+    // The first call hangs, as in a serverless instance frozen after the response
+    let calls = 0;
+    const { deferredAi, sent } = createDeferred(() => (++calls === 1 ? new Promise(() => {}) : Promise.resolve('Limpe a vala.')));
+    assert.deepStrictEqual(await deferredAi.run('solution', 'Vala', CALLER), { deferred: true });
+
+    assert.deepStrictEqual(await deferredAi.flush(), { delivered: 1, failed: 0, pending: 0 });
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0].body, /Limpe a vala/);
+    assert.deepStrictEqual(await deferredAi.list(), []);
+});
+
+test('forgets analyses still waiting for a number', async () => {
+    const { deferredAi, sent } = createDeferred(() => new Promise(() => {}));
+    await deferredAi.run('solution', 'Vala', CALLER);
+    await deferredAi.run('solution', 'Lixo', { ...CALLER, phoneNumber: '+244923000002' });
+
+    assert.strictEqual(await deferredAi.forget(CALLER.phoneNumber), 1);
+    assert.deepStrictEqual((await deferredAi.list()).map(item => item.payload.phoneNumber), ['+244923000002']);
+    assert.deepStrictEqual(sent, []);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadDialogScript, runDialogScript } = require('../lib/simulator/harness');
+
+// Every script in test/dialogs is one end-to-end dialog test against the app
+// with fake Gemini, SMS and mapaZZZ API (see lib/simulator/harness.js).
+const DIALOGS_DIR = path.join(__dirname, 'dialogs');
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+fs.readdirSync(DIALOGS_DIR)
+    .filter(file => /\.(ya?ml|json)$/i.test(file))
+    .sort()
+    .forEach(file => {
+        const script = loadDialogScript(path.join(DIALOGS_DIR, file));
+        test(`dialog: ${script.name}`, () => runDialogScript(script));
+    });
+
+test('a dialog script fails when a screen does not match', async () => {
+    await assert.rejects(
+        runDialogScript({ name: 'mismatch', steps: [{ expect: 'Texto que não existe' }] }),
+        /Expected "Texto que não existe"/
+    );
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createContentService } = require('../lib/content');
+const { startApp } = require('../lib/simulator/harness');
+const { parseCsv, parseFacilityDataset, importFacilities, formatFacility } = require('../lib/facilities');
+
+function createContent() {
+    return createContentService({ store: createStore({ driver: 'memory', namespace: 'content' }) });
+}
+
+const CSV = [
+    'nome;tipo;município;bairro;serviços;horário;telefone;lat;lng',
+    'Hospital A;Hospital;Viana;Vila Flor;"Urgência; pediatria";24h;+244 222 000 001;-8.90;13.37',
+    '"Farmácia ""Boa Saúde""";farmácia;Viana;Vila Flor;;;;;'
+].join('\r\n');
+
+test('reads CSV with quoted fields, semicolons and a BOM', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFa,b\n"1,5","linha\nnova"\n\n'), [['a', 'b'], ['1,5', 'linha\nnova']]);
+
+    const [hospital, pharmacy] = parseFacilityDataset(CSV, 'csv');
+    assert.deepStrictEqual(hospital, {
+        name: 'Hospital A', kind: 'saude', municipality: 'Viana', bairro: 'Vila Flor',
+        services: 'Urgência; pediatria', hours: '24h', phone: '+244 222 000 001', latitude: -8.9, longitude: 13.37
+    });
+    assert.strictEqual(pharmacy.name, 'Farmácia "Boa Saúde"');
+    assert.strictEqual(pharmacy.kind, 'farmacia');
+});
+
+test('reads GeoJSON points', () => {
+    const [facility] = parseFacilityDataset({
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [13.2, -8.8] },
+            properties: { name: 'Posto B', kind: 'saude', municipality: 'Belas', bairro: 'Camama' }
+        }]
+    }, 'geojson');
+    assert.strictEqual(facility.latitude, -8.8);
+    assert.strictEqual(facility.longitude, 13.2);
+});
+
+test('rejects the whole dataset when a row is invalid', () => {
+    const csv = 'name,kind,municipality,bairro\nPosto C,saude,Zango,Zango 1\nSem tipo,,Zango,Zango 2\nClínica D,veterinaria,Zango,Zango 3';
+    assert.throws(() => parseFacilityDataset(csv, 'csv'), error => {
+        assert.strictEqual(error.status, 400);
+        assert.deepStrictEqual(error.details.map(detail => detail.row), [2, 3]);
+        return true;
+    });
+    assert.throws(() => parseFacilityDataset('tipo,bairro\nsaude,Zango', 'csv'), { status: 400 });
+    assert.throws(() => parseFacilityDataset('{"type": "Feature"}', 'geojson'), { status: 400 });
+    assert.throws(() => parseFacilityDataset('name,kind,municipality,bairro,latitude\nPosto E,saude,Zango,Zango 1,-8.9', 'csv'), { status: 400 });
+});
+
+test('imports by name and municipality, keeping history, and prunes on request', async () => {
+    const content = createContent();
+    const facilities = parseFacilityDataset(CSV, 'csv');
+    assert.deepStrictEqual(await importFacilities(content, facilities), { created: 2, updated: 0, unchanged: 0, unpublished: 0 });
+    assert.deepStrictEqual(await importFacilities(content, facilities), { created: 0, updated: 0, unchanged: 2, unpublished: 0 });
+
+    const [hospital] = facilities;
+    const edited = [{ ...hospital, name: 'HOSPITAL A', hours: undefined }];
+    assert.deepStrictEqual(await importFacilities(content, edited, { prune: true }), { created: 0, updated: 1, unchanged: 0, unpublished: 1 });
+
+    const published = await content.listPublished('facilities');
+    assert.deepStrictEqual(published.map(facility => facility.name), ['HOSPITAL A']);
+    assert.strictEqual(published[0].hours, undefined, 'fields missing from the dataset are cleared');
+    const [item] = (await content.list('facilities')).filter(entry => entry.published);
+    assert.strictEqual(item.versions.length, 2);
+});
+
+test('formats a facility, with the map link only for SMS', () => {
+    const t = (key, params = {}) => `${key}:${Object.values(params).join('|')}`;
+    const [hospital] = parseFacilityDataset(CSV, 'csv');
+    assert.ok(!formatFacility(hospital, t).includes('facilities.map'));
+    assert.match(formatFacility(hospital, t, { withMap: true }), /facilities\.map:https:\/\/maps\.google\.com\/\?q=-8\.9,13\.37$/);
+});
+
+test('imports datasets through the admin API', async t => {
+    const { baseUrl } = await startApp(t, { env: { ADMIN_TOKEN: 'segredo' } });
+
+    const url = `${baseUrl}/admin/content/facilities/import`;
+    const post = (body, type) => fetch(url, { method: 'POST', body, headers: { Authorization: 'Bearer segredo', 'Content-Type': type } });
+
+    const imported = await post(CSV, 'text/csv');
+    assert.strictEqual(imported.status, 200);
+    assert.deepStrictEqual(await imported.json(), { created: 2, updated: 0, unchanged: 0, unpublished: 0 });
+
+    const invalid = await post(JSON.stringify({ type: 'FeatureCollection', features: [{ properties: { name: 'X' } }] }), 'application/geo+json');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).details[0].row, 1);
+
+    const empty = await post('{}', 'application/json');
+    assert.strictEqual(empty.status, 400);
+});
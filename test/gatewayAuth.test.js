@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('../lib/simulator/harness');
+const { createFakeGemini, createFakeSmsProvider } = require('../lib/simulator/fakes');
+const { hasBearerToken, signBody, SIGNATURE_HEADER } = require('../lib/gatewayAuth');
+
+const BODY = new URLSearchParams({ sessionId: 'auth-1', serviceCode: '*123#', phoneNumber: '+244900000000', text: '' }).toString();
+
+async function startUssd(t, env) {
+    const { baseUrl } = await startApp(t, { env, smsProvider: createFakeSmsProvider() });
+    return (headers = {}) => fetch(`${baseUrl}/ussd`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+        body: BODY
+    });
+}
+
+test('accepts any caller when no origin check is configured', async t => {
+    const post = await startUssd(t, {});
+    assert.strictEqual((await post()).status, 200);
+});
+
+test('only accepts gateway addresses on the allowlist', async t => {
+    const allowed = await startUssd(t, { USSD_ALLOWED_IPS: '10.0.0.0/8, 127.0.0.1' });
+    assert.strictEqual((await allowed()).status, 200);
+
+    const blocked = await startUssd(t, { USSD_ALLOWED_IPS: '196.201.214.0/24' });
+    assert.strictEqual((await blocked()).status, 403);
+});
+
+test('requires an HMAC signature of the body when a shared secret is set', async t => {
+    const post = await startUssd(t, { USSD_SHARED_SECRET: 's3cret' });
+    assert.strictEqual((await post()).status, 403);
+    assert.strictEqual((await post({ [SIGNATURE_HEADER]: signBody('wrong', BODY) })).status, 403);
+
+    const response = await post({ [SIGNATURE_HEADER]: `sha256=${signBody('s3cret', BODY)}` });
+    assert.strictEqual(response.status, 200);
+    assert.match(await response.text(), /^CON Bem-vindo/);
+});
+
+test('guards the webhooks of SMS providers that do not sign them and meters keyword replies', async t => {
+    async function startSms(env) {
+        const smsProvider = createFakeSmsProvider();
+        const { baseUrl, smsWebhooksRefused } = await startApp(t, { env: { QUOTA_SMS_PER_PHONE: '1', ...env }, smsProvider });
+        const post = (path, body) => fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { post, smsProvider, smsWebhooksRefused };
+    }
+    const message = { from: '+244923000001', text: 'AJUDA' };
+
+    const closed = await startSms({});
+    assert.strictEqual(closed.smsWebhooksRefused, true);
+    assert.strictEqual((await closed.post('/sms/inbound/fake', message)).status, 403);
+    assert.strictEqual((await closed.post('/sms/status/fake', { id: 'fake-1', status: 'delivered' })).status, 403);
+
+    const allowlisted = await startSms({ SMS_WEBHOOK_ALLOWED_IPS: '196.201.214.0/24' });
+    assert.strictEqual((await allowlisted.post('/sms/inbound/fake', message)).status, 403);
+
+    const { post, smsProvider } = await startSms({ SMS_WEBHOOK_TOKEN: 'tok' });
+    assert.strictEqual((await post('/sms/inbound/fake?token=wrong', message)).status, 403);
+    assert.strictEqual((await post('/sms/inbound/fake?token=tok', message)).status, 204);
+    assert.strictEqual((await post('/sms/inbound/fake?token=tok', message)).status, 204);
+    await new Promise(resolve => setTimeout(resolve, 20)); // the outbox flushes after the response
+    assert.strictEqual(smsProvider.sent.length, 1, 'the second reply is over the SMS quota');
+    assert.match(smsProvider.sent[0].body, /MapaZZZ por SMS/);
+});
+
+test('guards console webhooks in production and applies the per-IP AI quota to keyword commands', async t => {
+    async function startConsole(env) {
+        const gemini = createFakeGemini(Array.from({ length: 5 }, () => 'Limpe a vala com os vizinhos.'));
+        const { baseUrl, smsWebhooksRefused } = await startApp(t, { env: { NODE_ENV: 'production', QUOTA_AI_PER_IP: '2', ...env }, ai: gemini });
+        const post = (path, body) => fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { post, gemini, smsWebhooksRefused };
+    }
+    const message = n => ({ from: `+24492300000${n}`, text: `SOLUCAO vala entupida ${n}` });
+
+    const closed = await startConsole({});
+    assert.strictEqual(closed.smsWebhooksRefused, true);
+    assert.strictEqual((await closed.post('/sms/inbound/console', message(1))).status, 403);
+    assert.strictEqual(closed.gemini.calls.length, 0);
+
+    const { post, gemini } = await startConsole({ SMS_WEBHOOK_TOKEN: 'tok' });
+    for (const n of [1, 2, 3, 4, 5]) {
+        assert.strictEqual((await post('/sms/inbound/console?token=tok', message(n))).status, 204);
+    }
+    assert.strictEqual(gemini.calls.length, 2, 'new numbers from the same IP share its AI quota');
+});
+
+test('checks bearer tokens, refusing all when none is configured', () => {
+    const request = authorization => ({ get: name => (name === 'Authorization' ? authorization : undefined) });
+    assert.strictEqual(hasBearerToken('segredo', request('Bearer segredo')), true);
+    assert.strictEqual(hasBearerToken('segredo', request('Bearer segred')), false);
+    assert.strictEqual(hasBearerToken('segredo', request(undefined)), false);
+    assert.strictEqual(hasBearerToken(undefined, request('Bearer undefined')), false);
+    assert.strictEqual(hasBearerToken('', request('Bearer ')), false);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('../lib/simulator/harness');
+const { createFakeSmsProvider } = require('../lib/simulator/fakes');
+const json = require('../lib/gateways/json');
+const { inputSince } = require('../lib/gateways');
+
+async function startGateways(t) {
+    const { baseUrl } = await startApp(t, { smsProvider: createFakeSmsProvider() });
+    return (path, body, contentType = 'application/json') => fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: contentType === 'application/json' ? JSON.stringify(body) : new URLSearchParams(body).toString()
+    });
+}
+
+test('parses JSON hops into the internal request shape', () => {
+    const parse = body => json.parse({ body });
+    assert.deepStrictEqual(parse({ sessionId: 12345, msisdn: '244923000000', serviceCode: '*123#', input: 2, newSession: 'true' }), {
+        sessionId: '12345',
+        serviceCode: '*123#',
+        phoneNumber: '+244923000000',
+        input: '2',
+        isNewSession: true
+    });
+    const { input, isNewSession } = parse({ sessionId: 'a', msisdn: '244923000000', input: null, newSession: 0 });
+    assert.strictEqual(input, '');
+    assert.strictEqual(isNewSession, false);
+    assert.strictEqual(parse({ msisdn: '244923000000' }).sessionId, undefined);
+});
+
+test("takes the Africa's Talking input as what follows the previous hop's text", () => {
+    assert.strictEqual(inputSince('', '2', '2'), '2');
+    assert.strictEqual(inputSince('2*2', '2*2*Rua 5 * Bairro', 'Bairro'), 'Rua 5 * Bairro');
+    assert.strictEqual(inputSince('2*2', '2*2*', ''), '');
+    // No previous text (e.g. an older session) or text that does not extend it
+    assert.strictEqual(inputSince(undefined, '1*3', '3'), '3');
+    assert.strictEqual(inputSince('1*2', '1*3', '3'), '3');
+    assert.strictEqual(inputSince('1*2', '1*23', '23'), '23');
+});
+
+test('detects JSON hops on /ussd and answers in JSON', async t => {
+    const post = await startGateways(t);
+    const hop = (input, newSession) => post('/ussd', { sessionId: 9001, msisdn: '244923000000', serviceCode: '*123#', input, newSession });
+
+    let response = await hop('', true);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    let reply = await response.json();
+    assert.strictEqual(reply.sessionId, '9001');
+    assert.strictEqual(reply.continueSession, true);
+    assert.match(reply.message, /^Bem-vindo/);
+
+    // Only the latest input is sent, not the whole path
+    reply = await (await hop('2', false)).json();
+    assert.match(reply.message, /Reportagens/);
+    assert.strictEqual(reply.continueSession, true);
+
+    // newSession restarts the dialog even if the aggregator reuses the id
+    reply = await (await hop('', true)).json();
+    assert.match(reply.message, /^Bem-vindo/);
+});
+
+test('/ussd/json pins the adapter and ends the session in JSON', async t => {
+    const post = await startGateways(t);
+    // Without a sessionId /ussd would not detect the JSON adapter
+    const response = await post('/ussd/json', { msisdn: '244923000000', input: '' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { message: 'Sessão inválida.', continueSession: false });
+});
+
+test("keeps Africa's Talking as the default and refuses unknown gateways", async t => {
+    const post = await startGateways(t);
+    const form = { sessionId: 'at-1', serviceCode: '*123#', phoneNumber: '+244923000000', text: '' };
+
+    const response = await post('/ussd', form, 'application/x-www-form-urlencoded');
+    assert.match(await response.text(), /^CON Bem-vindo/);
+
+    const unknown = await post('/ussd/nope', { sessionId: 'x', msisdn: '244923000000' });
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(await unknown.text(), 'Unknown USSD gateway.');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { measure, transliterate, isGsm7 } = require('../lib/gsm');
+
+test('plain text is GSM-7, one septet per character', () => {
+    assert.deepStrictEqual(measure('Use mosquiteiro. Ligue 112!'), { encoding: 'GSM-7', units: 27, characters: 27, segments: 1 });
+    assert.strictEqual(measure('').segments, 0);
+});
+
+test('extension characters take two septets', () => {
+    assert.strictEqual(measure('Custo: 5€ [aprox]').units, 20);
+    assert.strictEqual(measure('Custo: 5€ [aprox]').encoding, 'GSM-7');
+});
+
+test('GSM-7 splits into 153-septet segments after 160', () => {
+    assert.strictEqual(measure('a'.repeat(160)).segments, 1);
+    assert.strictEqual(measure('a'.repeat(161)).segments, 2);
+    assert.strictEqual(measure('a'.repeat(306)).segments, 2);
+    assert.strictEqual(measure('a'.repeat(307)).segments, 3);
+});
+
+test('one character outside GSM-7 switches the message to UCS-2', () => {
+    const text = 'Atenção: ' + 'a'.repeat(61);
+    assert.deepStrictEqual(measure(text), { encoding: 'UCS-2', units: 70, characters: 70, segments: 1 });
+    assert.strictEqual(measure(text + 'a').segments, 2);
+    assert.strictEqual(measure('ã'.repeat(134)).segments, 2);
+    assert.strictEqual(measure('ã'.repeat(135)).segments, 3);
+});
+
+test('accents that GSM-7 has are kept (é, à, Ç)', () => {
+    assert.strictEqual(measure('Água é à Ç').encoding, 'UCS-2');
+    assert.strictEqual(measure('é à Ç').encoding, 'GSM-7');
+});
+
+test('transliterates Portuguese to GSM-7', () => {
+    const text = 'Atenção: há água parada em São Tomé — não espere… «Saúde»';
+    const result = transliterate(text);
+    assert.strictEqual(result, 'Atencao: ha agua parada em Sao Tomé - nao espere... "Saude"');
+    assert.ok(isGsm7(result));
+    assert.ok(measure(result).segments <= measure(text).segments);
+});
+
+test('characters with no GSM-7 equivalent become "?"', () => {
+    assert.strictEqual(transliterate('ok ✓'), 'ok ?');
+    assert.strictEqual(transliterate('Łódź'), '?odz');
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createHistoryService } = require('../lib/history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PHONE = '+244923000001';
+
+function createHistory({ maxEntries } = {}) {
+    let clock = Date.UTC(2026, 9, 1);
+    const now = () => clock;
+    const history = createHistoryService({ store: createStore({ driver: 'memory', namespace: 'history', now }), retentionMs: 30 * DAY, maxEntries, now });
+    return { history, advance: ms => { clock += ms; } };
+}
+
+test('lists entries newest first, up to maxEntries', async () => {
+    const { history, advance } = createHistory({ maxEntries: 2 });
+    await history.record(PHONE, { type: 'triage', text: 'primeira' });
+    advance(1000);
+    await history.record(PHONE, { type: 'solution', text: 'segunda' });
+    advance(1000);
+    await history.record(PHONE, { type: 'report', text: 'terceira' });
+
+    assert.deepStrictEqual((await history.list(PHONE)).map(entry => entry.text), ['terceira', 'segunda']);
+    assert.deepStrictEqual(await history.list('+244923000002'), []);
+    await assert.rejects(history.record(PHONE, { type: 'tip', text: 'x' }), /Unknown history type/);
+});
+
+test('purges entries past the retention period', async () => {
+    const { history, advance } = createHistory();
+    await history.record(PHONE, { type: 'triage', text: 'antiga' });
+    await history.record('+244923000002', { type: 'report', text: 'antiga' });
+    advance(20 * DAY);
+    await history.record(PHONE, { type: 'solution', text: 'recente' });
+    advance(15 * DAY);
+
+    assert.deepStrictEqual((await history.list(PHONE)).map(entry => entry.text), ['recente'], 'expired entries are never listed');
+    const summary = await history.purge();
+    assert.strictEqual(summary.removed, 1);
+    assert.deepStrictEqual((await history.list(PHONE)).map(entry => entry.text), ['recente']);
+    assert.deepStrictEqual(await history.list('+244923000002'), []);
+});
+
+test('erases a number on request', async () => {
+    const { history } = createHistory();
+    await history.record(PHONE, { type: 'report', text: 'Ref: MZ-ABC234' });
+    assert.strictEqual(await history.erase(PHONE), true);
+    assert.deepStrictEqual(await history.list(PHONE), []);
+    assert.strictEqual(await history.erase(PHONE), false);
+});
+
+test('erasing one\'s data also clears SMS records, queued SMS and conversations, and anonymises queued reports', async t => {
+    const fs = require('node:fs');
+    const os = require('node:os');
+    const path = require('node:path');
+    const { startApp } = require('../lib/simulator/harness');
+    const { createFakeSmsProvider, createFakeMapazzz } = require('../lib/simulator/fakes');
+    const { createDialog, createHttpSender } = require('../lib/simulator/dialog');
+    t.mock.method(console, 'error', () => {});
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ussd-erase-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    // The provider is down, so every SMS stays in the outbox
+    const smsProvider = createFakeSmsProvider();
+    smsProvider.send = async () => { throw new Error('Provider unavailable.'); };
+    const { baseUrl: base } = await startApp(t, {
+        env: { STORE_DRIVER: 'file', STORE_DIR: dir, SMS_WEBHOOK_TOKEN: 'tok' },
+        smsProvider,
+        mapazzz: createFakeMapazzz({ down: true })
+    });
+    const dial = () => createDialog({ send: createHttpSender(`${base}/ussd`), phoneNumber: PHONE });
+    const stored = async namespace => {
+        const store = createStore({ driver: 'file', namespace, dir });
+        const values = await Promise.all((await store.keys()).map(key => store.get(key)));
+        await store.close();
+        return values;
+    };
+
+    const report = dial();
+    await report.dial();
+    for (const input of ['2', '2', '1', '3', 'Lixo junto ao mercado']) await report.reply(input);
+    assert.match((await report.reply('1')).text, /Reportagem registada/);
+    assert.match((await report.reply('99')).text, /Será enviada/);
+    await fetch(`${base}/sms/inbound/fake?token=tok`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from: PHONE, text: 'REPORT' })
+    });
+    assert.strictEqual((await stored('sms_conversations')).length, 1);
+    assert.ok((await stored('sms_messages')).some(record => record.to === PHONE));
+
+    const erase = dial();
+    await erase.dial();
+    await erase.reply('9');
+    assert.match((await erase.reply('2')).text, /Apagar os seus dados\? Reportagens já enviadas ficam\.\n1\. Confirmar/);
+    assert.match((await erase.reply('1')).text, /Os seus dados foram apagados/);
+
+    assert.deepStrictEqual(await stored('sms_conversations'), []);
+    assert.deepStrictEqual((await stored('sms_messages')).filter(record => record.to === PHONE), []);
+    assert.deepStrictEqual((await stored('sms_outbox')).filter(item => item.payload.to === PHONE), []);
+    const [queuedReport] = await stored('report_outbox');
+    assert.strictEqual(queuedReport.payload.phoneNumber, null, 'the report is still sent, without the number');
+    assert.strictEqual(queuedReport.payload.description, 'Lixo junto ao mercado');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CATALOGS, LANGUAGES, translate, createTranslator } = require('../lib/i18n');
+const { paginate } = require('../lib/pagination');
+
+const placeholders = template => (template.match(/\{\w+\}/g) || []).sort();
+
+test('no catalog has keys that the Portuguese catalog lacks', () => {
+    for (const [lang, catalog] of Object.entries(CATALOGS)) {
+        const extra = Object.keys(catalog).filter(key => !Object.hasOwn(CATALOGS.pt, key));
+        assert.deepStrictEqual(extra, [], `catalog "${lang}" has keys missing from pt`);
+    }
+});
+
+test('the English catalog translates every Portuguese key', () => {
+    const missing = Object.keys(CATALOGS.pt).filter(key => !Object.hasOwn(CATALOGS.en, key));
+    assert.deepStrictEqual(missing, []);
+});
+
+test('languages with an incomplete catalog are marked partial', () => {
+    for (const language of LANGUAGES) {
+        const complete = Object.keys(CATALOGS.pt).every(key => Object.hasOwn(CATALOGS[language.code], key));
+        assert.strictEqual(Boolean(language.partial), !complete, `language "${language.code}"`);
+    }
+});
+
+test('untranslated Kimbundu text falls back to Portuguese', () => {
+    assert.strictEqual(translate('kmb', 'common.yes'), 'Ehe');
+    assert.strictEqual(translate('kmb', 'triage.fever'), CATALOGS.pt['triage.fever']);
+});
+
+test('translations keep the same placeholders as Portuguese', () => {
+    for (const [lang, catalog] of Object.entries(CATALOGS)) {
+        for (const [key, template] of Object.entries(catalog)) {
+            assert.deepStrictEqual(placeholders(template), placeholders(CATALOGS.pt[key]), `${lang}: ${key}`);
+        }
+    }
+});
+
+test('every selectable language has a catalog', () => {
+    assert.deepStrictEqual(LANGUAGES.map(language => language.code).sort(), Object.keys(CATALOGS).sort());
+});
+
+test('fills in placeholders', () => {
+    assert.strictEqual(translate('en', 'zones.more', { count: 3 }), '3 more zones available.');
+});
+
+test('falls back to Portuguese for unknown languages and missing keys', (t) => {
+    assert.strictEqual(translate('xx', 'menu.zones'), 'Zonas de risco');
+    assert.strictEqual(createTranslator(undefined).lang, 'pt');
+
+    CATALOGS.pt['test.only'] = 'Só em português';
+    t.after(() => delete CATALOGS.pt['test.only']);
+    assert.strictEqual(translate('en', 'test.only'), 'Só em português');
+});
+
+test('the main menu fits one USSD screen in every language', () => {
+    const items = ['zones', 'reports', 'malaria', 'solutions', 'tips', 'emergency', 'alerts', 'facilities', 'history', 'language'];
+    for (const lang of Object.keys(CATALOGS)) {
+        const t = createTranslator(lang);
+        const menu = [t('menu.welcome'), ...items.map((item, index) => `${index + 1}. ${t(`menu.${item}`)}`)].join('\n');
+        assert.deepStrictEqual(paginate(menu, { moreLabel: t('flow.more') }), [menu], `main menu in "${lang}"`);
+    }
+});
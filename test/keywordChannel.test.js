@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createContentService } = require('../lib/content');
+const { createReportService } = require('../lib/reports');
+const { createAlertService } = require('../lib/alerts');
+const { createQuotaService } = require('../lib/quotas');
+const { createHistoryService } = require('../lib/history');
+const { assessTriage } = require('../lib/triage');
+const { createFakeMapazzz } = require('../lib/simulator/fakes');
+const { createKeywordChannel, parseCommand, parseSymptoms } = require('../lib/keywordChannel');
+
+const PHONE = '+244923000001';
+
+async function createChannel({ zones = [], solution = 'Reporte à administração.', aiPerPhone = 0 } = {}) {
+    const memory = namespace => createStore({ driver: 'memory', namespace });
+    const mapazzz = createFakeMapazzz({ zones });
+    const content = createContentService({ store: memory('content') });
+    await content.seed();
+    const smsSent = [];
+    const sendSms = async (to, body) => {
+        smsSent.push({ to, body });
+        return 'SMS a caminho.';
+    };
+    const history = createHistoryService({ store: memory('history') });
+    const channel = createKeywordChannel({
+        mapazzz,
+        reports: createReportService({ mapazzz, store: memory('report_outbox'), sendSms, history }),
+        assessMalariaRisk: answers => assessTriage(answers),
+        getZoneSolution: async problem => ({ ok: true, text: `${solution} (${problem})` }),
+        content,
+        alerts: createAlertService({ subscriptionStore: memory('alerts'), stateStore: memory('alert_state'), mapazzz, sendSms }),
+        quotas: createQuotaService({ store: memory('quotas'), limits: { ai: { perPhone: aiPerPhone } } }),
+        history,
+        store: memory('conversations')
+    });
+    const send = (text, lang = 'pt') => channel.handle({ sender: `sms:${PHONE}`, phoneNumber: PHONE, channel: 'sms', text, lang });
+    return { send, mapazzz, smsSent, history };
+}
+
+test('parses commands regardless of case and accents', () => {
+    assert.deepStrictEqual(parseCommand('solução  Lixo acumulado'), { command: 'solution', argument: 'Lixo acumulado' });
+    assert.deepStrictEqual(parseCommand('zones high'), { command: 'zones', argument: 'high' });
+    assert.deepStrictEqual(parseCommand('Olá'), { command: null, argument: '' });
+    assert.deepStrictEqual(parseSymptoms('Febre há 3 dias, calafrios e dor de cabeça'),
+        { fever: true, feverDays: 3, chills: true, headache: true });
+    assert.deepStrictEqual(parseSymptoms('Tosse há 5 dias'), {}, 'days without fever are not fever days');
+});
+
+test('lists zones by level and explains unknown levels', async () => {
+    const { send } = await createChannel({ zones: [{ location: 'Zango 3', riskLevel: 3 }, { location: 'Benfica', riskLevel: 1 }] });
+    const reply = await send('ZONAS ALTO');
+    assert.match(reply, /Zango 3/);
+    assert.doesNotMatch(reply, /Benfica/);
+    assert.match(await send('zonas amanhã'), /Nível desconhecido/);
+});
+
+test('files a report over several messages', async () => {
+    const { send, mapazzz, smsSent } = await createChannel();
+    assert.match(await send('REPORT viana'), /Tipo de problema:\n1\. Falta de água/);
+    assert.match(await send('9'), /Responda com um dos números/);
+    assert.match(await send('4'), /Descreva o problema/);
+    assert.match(await send('Charco grande na rua 5'), /Reportagem registada\. Ref: MZ-/);
+
+    const [report] = mapazzz.submitted;
+    assert.strictEqual(report.municipality, 'Viana');
+    assert.strictEqual(report.category, 'agua_parada');
+    assert.strictEqual(report.source, 'sms');
+    assert.deepStrictEqual(smsSent, [], 'the reply already carries the reference');
+});
+
+test('asks the triage questions the description left open', async () => {
+    const { send } = await createChannel();
+    assert.match(await send('SINTOMAS febre há 2 dias e calafrios'), /Convulsões.*Responda SIM ou NAO/);
+    assert.match(await send('talvez'), /^Responda SIM ou NAO/);
+    assert.match(await send('nao'), /menos de 5 anos/);
+    assert.match(await send('sim'), /Probabilidade de malária: \d+%.*Crianças com menos de 5 anos/);
+
+    assert.match(await send('sintomas convulsões'), /^URGENTE/);
+});
+
+test('does not score days of another symptom as days of fever', async () => {
+    const { send } = await createChannel();
+    assert.match(await send('SINTOMAS tosse há 5 dias'), /Convulsões/);
+    assert.match(await send('nao'), /Tem febre/);
+    await send('nao');
+    await send('nao');
+    const reply = await send('nao');
+    assert.match(reply, /Probabilidade de malária: \d+%/);
+    assert.doesNotMatch(reply, /Faça o teste de malária hoje/);
+});
+
+test('answers solutions, tips and help, and a new command drops a pending question', async () => {
+    const { send } = await createChannel();
+    assert.match(await send('SOLUCAO lixo acumulado'), /^Sugestão: Reporte à administração\. \(lixo acumulado\)/);
+    assert.match(await send('DICA malária'), /mosquiteiro/);
+
+    assert.match(await send('SOLUCAO'), /Descreva o problema na sua zona/);
+    assert.match(await send('zonas'), /Nenhuma zona de risco/);
+    assert.match(await send('bom dia'), /MapaZZZ por SMS/);
+    assert.match(await send('hello', 'en'), /ZONES HIGH/);
+});
+
+test('keeps analyses, suggestions and reports in the sender\'s history', async () => {
+    const { send, history } = await createChannel();
+    await send('SOLUCAO lixo acumulado');
+    await send('sintomas convulsões');
+    await send('REPORT viana');
+    await send('2');
+    await send('Lixo na rua');
+
+    const entries = await history.list(PHONE);
+    assert.deepStrictEqual(entries.map(entry => entry.type), ['report', 'triage', 'solution']);
+    assert.match(entries[0].text, /MZ-/);
+    assert.match(entries[1].text, /^Triagem de malária \(USSD MapaZZZ\): URGENTE/);
+});
+
+test('PARAR cancels risk alerts', async () => {
+    const { send } = await createChannel();
+    assert.match(await send('parar'), /Não tem alertas ativos/);
+});
+
+test('answers Twilio SMS and WhatsApp webhooks with TwiML', async t => {
+    const { startApp } = require('../lib/simulator/harness');
+    const { createTwilioProvider } = require('../lib/sms/twilio');
+    const { baseUrl } = await startApp(t, {
+        smsProvider: createTwilioProvider({ client: { messages: { create: async () => ({ sid: 'SM1' }) } } }),
+        mapazzz: createFakeMapazzz({ zones: [{ location: 'Zango 3', riskLevel: 3 }] })
+    });
+
+    const response = await fetch(`${baseUrl}/sms/inbound/twilio`, {
+        method: 'POST',
+        body: new URLSearchParams({ From: 'whatsapp:+244923000001', Body: 'zonas alto' })
+    });
+    assert.match(response.headers.get('content-type'), /text\/xml/);
+    assert.match(await response.text(), /<Response><Message>Zonas de Risco Alto:[\s\S]*Zango 3[\s\S]*<\/Message><\/Response>/);
+});
+
+test('rejects Twilio webhooks without a valid signature', async t => {
+    const twilio = require('twilio');
+    const { startApp } = require('../lib/simulator/harness');
+    const { createTwilioProvider } = require('../lib/sms/twilio');
+    const { baseUrl } = await startApp(t, {
+        smsProvider: createTwilioProvider({ authToken: 'token', validateSignature: true, client: { messages: { create: async () => ({ sid: 'SM1' }) } } })
+    });
+
+    const url = `${baseUrl}/sms/inbound/twilio`;
+    const params = { From: '+244923000001', Body: 'ajuda' };
+    const post = signature => fetch(url, {
+        method: 'POST',
+        headers: signature ? { 'X-Twilio-Signature': signature } : {},
+        body: new URLSearchParams(params)
+    });
+    assert.strictEqual((await post()).status, 403);
+    assert.strictEqual((await post('forged')).status, 403);
+    const response = await post(twilio.getExpectedTwilioSignature('token', url, params));
+    assert.strictEqual(response.status, 200);
+    assert.match(await response.text(), /MapaZZZ por SMS/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, hashPhone } = require('../lib/logger');
+
+function capture(options = {}) {
+    const lines = [];
+    const log = createLogger({ hashSecret: 'segredo', write: (level, line) => lines.push(JSON.parse(line)), now: () => 0, ...options });
+    return { log, lines };
+}
+
+test('writes one JSON object per line', () => {
+    const { log, lines } = capture();
+    log.info('Job finished.', { job: 'sms-outbox', summary: { sent: 2 } });
+    assert.deepStrictEqual(lines, [{ time: '1970-01-01T00:00:00.000Z', level: 'info', msg: 'Job finished.', job: 'sms-outbox', summary: { sent: 2 } }]);
+});
+
+test('hashes phone numbers and redacts typed text', () => {
+    const { log, lines } = capture();
+    log.info('USSD input.', { phoneNumber: '+244923000001', input: 'febre e vómitos', sessionId: 'AT-1' });
+    log.warn('Could not send to 244923000001.', { error: new Error('Invalid number +244923000001') });
+
+    const [hop, warning] = lines;
+    assert.strictEqual(hop.phoneNumber, hashPhone('+244923000001', 'segredo'));
+    assert.match(hop.phoneNumber, /^ph_[0-9a-f]{12}$/);
+    assert.strictEqual(hop.input, '[redacted 15 chars]');
+    assert.strictEqual(hop.sessionId, 'AT-1');
+    assert.strictEqual(warning.msg, `Could not send to ${hop.phoneNumber}.`, 'the same number hashes the same with or without "+"');
+    assert.strictEqual(warning.error.message, `Invalid number ${hop.phoneNumber}`);
+    assert.strictEqual(warning.error.stack, undefined, 'stacks only on errors');
+    assert.ok(!JSON.stringify(lines).includes('923000001'));
+});
+
+test('filters by level and adds child context', () => {
+    const { log, lines } = capture({ level: 'warn' });
+    const child = log.child({ sessionId: 'AT-2' });
+    child.info('skipped');
+    child.error('kept', { error: new Error('boom') });
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].sessionId, 'AT-2');
+    assert.match(lines[0].error.stack, /boom/);
+
+    log.configure({ level: 'debug' });
+    child.debug('now kept');
+    assert.strictEqual(lines.length, 2);
+});
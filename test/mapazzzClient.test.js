@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createMapazzzClient, formatSnapshotTime } = require('../lib/mapazzzClient');
+const { createFakeClock } = require('../lib/simulator/fakes');
+
+const zones = [
+    { location: 'Clínica CSE', riskLevel: 3 },
+    { location: 'ISPTC Talatona', riskLevel: 2 },
+    { location: 'Mercado Kifica', riskLevel: 3 }
+];
+const reports = [
+    { title: 'Falta de Água', municipality: 'Viana', riskLevel: 3 },
+    { title: 'Lixo na Via', municipality: 'Belas', riskLevel: 2 }
+];
+
+// Local stand-in for the mapaZZZ API. `behaviour` can be switched per test to
+// make it fail or stall.
+async function startStubApi(t) {
+    const stub = { hits: 0, behaviour: 'ok' };
+    const server = http.createServer((req, res) => {
+        stub.hits++;
+        if (stub.behaviour === 'error') {
+            res.writeHead(500);
+            return res.end();
+        }
+        if (stub.behaviour === 'slow') {
+            return setTimeout(() => res.end('[]'), 500);
+        }
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/api/zones') return res.end(JSON.stringify(zones));
+        if (req.url === '/api/reports') return res.end(JSON.stringify({ data: reports }));
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    stub.baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    return stub;
+}
+
+test('fetches zones and applies the risk level filter', async (t) => {
+    const stub = await startStubApi(t);
+    const client = createMapazzzClient({ baseUrl: stub.baseUrl });
+
+    const snapshot = await client.getZones('Alto');
+    assert.deepStrictEqual(snapshot.items.map(zone => zone.location), ['Clínica CSE', 'Mercado Kifica']);
+    assert.strictEqual(snapshot.stale, false);
+
+    const all = await client.getZones(null);
+    assert.strictEqual(all.items.length, 3);
+});
+
+test('fetches reports wrapped in { data } and filters by municipality', async (t) => {
+    const stub = await startStubApi(t);
+    const client = createMapazzzClient({ baseUrl: stub.baseUrl });
+
+    assert.deepStrictEqual((await client.getReports('viana')).items.map(r => r.title), ['Falta de Água']);
+    assert.strictEqual((await client.getReports('Todos')).items.length, 2);
+    assert.strictEqual((await client.getReports('Outro')).items.length, 2);
+});
+
+test('serves cached data within the TTL without calling the API', async (t) => {
+    const stub = await startStubApi(t);
+    const clock = createFakeClock(1000);
+    const client = createMapazzzClient({ baseUrl: stub.baseUrl, ttlMs: 60000, now: clock.now });
+
+    await client.getZones('Alto');
+    clock.time += 30000;
+    await client.getZones('Médio');
+    assert.strictEqual(stub.hits, 1);
+
+    clock.time += 31000;
+    await client.getZones('Médio');
+    assert.strictEqual(stub.hits, 2);
+});
+
+test('falls back to the last good snapshot when the API fails', async (t) => {
+    const stub = await startStubApi(t);
+    const clock = createFakeClock(Date.UTC(2025, 0, 1, 13, 5));
+    const client = createMapazzzClient({ baseUrl: stub.baseUrl, ttlMs: 1000, now: clock.now });
+
+    await client.getZones(null);
+    stub.behaviour = 'error';
+    clock.time += 5000;
+
+    const snapshot = await client.getZones('Alto');
+    assert.strictEqual(snapshot.stale, true);
+    assert.strictEqual(snapshot.items.length, 2);
+    assert.strictEqual(formatSnapshotTime(snapshot.fetchedAt), '14:05');
+});
+
+test('falls back to the last good snapshot when the API is slow', async (t) => {
+    const stub = await startStubApi(t);
+    const clock = createFakeClock(1000);
+    const client = createMapazzzClient({ baseUrl: stub.baseUrl, ttlMs: 1000, timeoutMs: 100, now: clock.now });
+
+    await client.getZones(null);
+    stub.behaviour = 'slow';
+    clock.time += 5000;
+
+    const snapshot = await client.getZones(null);
+    assert.strictEqual(snapshot.stale, true);
+    assert.strictEqual(snapshot.items.length, 3);
+});
+
+test('rejects when the API fails and nothing is cached', async (t) => {
+    const stub = await startStubApi(t);
+    stub.behaviour = 'error';
+    const client = createMapazzzClient({ baseUrl: stub.baseUrl });
+
+    await assert.rejects(client.getReports('Belas'));
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../lib/metrics');
+
+test('renders counters in the Prometheus text format', () => {
+    const metrics = createMetrics();
+    const requests = metrics.counter('ussd_requests_total', 'USSD hops.', ['gateway', 'outcome']);
+    requests.inc({ gateway: 'africastalking', outcome: 'end' });
+    requests.inc({ gateway: 'africastalking', outcome: 'end' }, 2);
+    requests.inc({ gateway: 'json', outcome: 'say "hi"' });
+
+    assert.strictEqual(metrics.counter('ussd_requests_total', 'again', ['gateway', 'outcome']), requests);
+    assert.throws(() => metrics.histogram('ussd_requests_total', 'clash'), /already a counter/);
+    assert.strictEqual(metrics.render(), [
+        '# HELP ussd_requests_total USSD hops.',
+        '# TYPE ussd_requests_total counter',
+        'ussd_requests_total{gateway="africastalking",outcome="end"} 3',
+        'ussd_requests_total{gateway="json",outcome="say \\"hi\\""} 1',
+        ''
+    ].join('\n'));
+});
+
+test('renders histograms with cumulative buckets', () => {
+    let clock = 0;
+    const metrics = createMetrics({ now: () => clock });
+    const duration = metrics.histogram('gemini_request_duration_seconds', 'Gemini latency.', ['task'], [0.5, 2]);
+    duration.observe({ task: 'triage' }, 0.2);
+    const stop = duration.startTimer({ task: 'triage' });
+    clock += 1500;
+    stop();
+
+    const lines = metrics.render().split('\n');
+    assert.ok(lines.includes('# TYPE gemini_request_duration_seconds histogram'));
+    assert.ok(lines.includes('gemini_request_duration_seconds_bucket{task="triage",le="0.5"} 1'));
+    assert.ok(lines.includes('gemini_request_duration_seconds_bucket{task="triage",le="2"} 2'));
+    assert.ok(lines.includes('gemini_request_duration_seconds_bucket{task="triage",le="+Inf"} 2'));
+    assert.ok(lines.includes('gemini_request_duration_seconds_sum{task="triage"} 1.7'));
+    assert.ok(lines.includes('gemini_request_duration_seconds_count{task="triage"} 2'));
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createOutbox } = require('../lib/outbox');
+const { createFakeClock } = require('../lib/simulator/fakes');
+
+test('instances flushing one shared store deliver each item once', async t => {
+    t.mock.method(console, 'log', () => {});
+    const store = createStore({ driver: 'memory', namespace: 'outbox' });
+    const delivered = [];
+    const deliver = async payload => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        delivered.push(payload.n);
+    };
+    // Two outboxes over one store stand in for two instances
+    const [first, second] = [0, 1].map(() => createOutbox({ store, deliver }));
+    await Promise.all([1, 2, 3].map(n => first.enqueue({ n })));
+
+    await Promise.all([first.flush(), second.flush()]);
+    assert.deepStrictEqual(delivered.sort(), [1, 2, 3]);
+    assert.deepStrictEqual(await store.keys(), [], 'no items or leases left');
+});
+
+test('an item leased by an instance that died is retried once the lease expires', async () => {
+    const clock = createFakeClock();
+    const store = createStore({ driver: 'memory', namespace: 'outbox', now: clock.now });
+    const delivered = [];
+    const outbox = createOutbox({ store, deliver: async payload => delivered.push(payload), leaseMs: 1000, now: clock.now });
+    const id = await outbox.enqueue('report');
+    await store.add(`lease:${id}`, { at: clock.now() }, { ttlMs: 1000 });
+
+    assert.deepStrictEqual(await outbox.flush(), { delivered: 0, failed: 0, pending: 0 });
+    assert.deepStrictEqual((await outbox.list()).map(item => item.id), [id], 'leases are not listed as items');
+    clock.time += 1000;
+    assert.deepStrictEqual(await outbox.flush(), { delivered: 1, failed: 0, pending: 0 });
+    assert.deepStrictEqual(delivered, ['report']);
+});
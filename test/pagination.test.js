@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { paginate } = require('../lib/pagination');
+const { createFlowEngine } = require('../lib/flowEngine');
+
+const zones = Array.from({ length: 12 }, (_, i) => `${i + 1}. Zona de risco numero ${i + 1} (Alto)`).join('\n');
+
+test('leaves text that fits alone', () => {
+    assert.deepStrictEqual(paginate('Curto', { moreLabel: '99. Mais' }), ['Curto']);
+});
+
+test('splits on line breaks and ends each page but the last with the more line', () => {
+    const pages = paginate(zones, { moreLabel: '99. Mais' });
+    assert.ok(pages.length > 1);
+    pages.forEach((page, index) => {
+        assert.ok(page.length <= 182, `page ${index} is ${page.length} characters`);
+        assert.strictEqual(page.endsWith('\n99. Mais'), index < pages.length - 1);
+    });
+    assert.strictEqual(pages.map(page => page.replace(/\n99\. Mais$/, '')).join('\n'), zones);
+});
+
+test('uses the UCS-2 limit for text outside GSM-7', () => {
+    const text = Array.from({ length: 6 }, () => 'Atenção à zona').join('\n'); // 89 characters
+    assert.strictEqual(paginate(text.replace(/ç/g, 'c').replace(/ã/g, 'a'), { moreLabel: '99. Mais' }).length, 1, 'GSM-7 fits 182');
+    const pages = paginate(text, { moreLabel: '99. Mais' });
+    assert.strictEqual(pages.length, 2, 'UCS-2 fits 80 by default');
+    pages.forEach(page => assert.ok(page.length <= 80));
+    assert.strictEqual(paginate(text, { moreLabel: '99. Mais', limits: { 'UCS-2': 182 } }).length, 1);
+});
+
+test('breaks a single long line at word boundaries', () => {
+    const pages = paginate('palavra '.repeat(60).trim(), { moreLabel: '99. Mais' });
+    assert.ok(pages.length > 1);
+    pages.forEach(page => assert.ok(page.length <= 182));
+    assert.ok(pages.every(page => !/palavr$|^alavra/m.test(page)));
+});
+
+test('adds the footer to the last page only when it has room', () => {
+    assert.deepStrictEqual(paginate('Município:\n1. Viana', { moreLabel: '99. Mais', footer: '0. Voltar 00. Menu' }), ['Município:\n1. Viana\n0. Voltar 00. Menu']);
+    const question = 'Convulsões, muita sonolência, não bebe, vomita tudo, falta de ar?\n1. Sim\n2. Não';
+    assert.deepStrictEqual(paginate(question, { moreLabel: '99. Mais', footer: '0. Voltar 00. Menu' }), [question], 'no page of its own');
+});
+
+test('the flow engine pages long endings with 99 and closes on the last page', async () => {
+    const flow = createFlowEngine({
+        root: 'menu',
+        screens: { menu: { prompt: 'Menu', options: [{ label: 'Zonas', handler: () => ({ end: zones }) }] } }
+    });
+    const ctx = { session: {} };
+    await flow.start(ctx);
+
+    let reply = await flow.handle(ctx, '1');
+    assert.strictEqual(reply.end, false);
+    assert.match(reply.text, /^1\. Zona/);
+    assert.match(reply.text, /99\. Mais$/);
+
+    assert.deepStrictEqual(await flow.handle(ctx, '5'), reply, 'other input shows the same page again');
+    const second = await flow.handle(ctx, '99');
+    assert.deepStrictEqual(await flow.handle(ctx, '0'), reply, '0 goes back a page');
+    assert.deepStrictEqual(await flow.handle(ctx, '99'), second);
+
+    while (!reply.end) reply = await flow.handle(ctx, '99');
+    assert.match(reply.text, /12\. Zona de risco numero 12 \(Alto\)$/);
+    assert.strictEqual(ctx.session.pages, undefined);
+});
+
+test('options on later pages can be chosen from any page', async () => {
+    const options = Array.from({ length: 10 }, (_, i) => ({ label: `Opção longa número ${i + 1} do menu`, handler: () => ({ end: `escolheu ${i + 1}` }) }));
+    const flow = createFlowEngine({ root: 'menu', screens: { menu: { prompt: 'Menu', options } } });
+    const ctx = { session: {} };
+    const first = await flow.start(ctx);
+    assert.match(first.text, /99\. Mais$/);
+    assert.ok(!first.text.includes('10. Opção'));
+    assert.deepStrictEqual(await flow.handle(ctx, '10'), { end: true, text: 'escolheu 10' });
+});
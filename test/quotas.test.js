@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createQuotaService } = require('../lib/quotas');
+
+function createQuotas(limits, clock = { now: 0 }) {
+    return createQuotaService({
+        store: createStore({ driver: 'memory', namespace: 'quotas', now: () => clock.now }),
+        limits,
+        windowMs: 1000,
+        now: () => clock.now
+    });
+}
+
+test('counts per phone number and per IP separately', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const quotas = createQuotas({ ai: { perPhone: 2, perIp: 3 } });
+    assert.strictEqual(await quotas.take('ai', { phoneNumber: '+1', ip: '10.0.0.1' }), true);
+    assert.strictEqual(await quotas.take('ai', { phoneNumber: '+1', ip: '10.0.0.1' }), true);
+    assert.strictEqual(await quotas.take('ai', { phoneNumber: '+1', ip: '10.0.0.2' }), false, 'phone used up');
+    assert.strictEqual(await quotas.take('ai', { phoneNumber: '+2', ip: '10.0.0.1' }), true);
+    assert.strictEqual(await quotas.take('ai', { phoneNumber: '+3', ip: '10.0.0.1' }), false, 'IP used up');
+    assert.strictEqual(await quotas.take('ai', { phoneNumber: '+3', ip: '10.0.0.2' }), true, 'a refused use is not counted');
+});
+
+test('starts over in the next window and ignores limits of 0', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const clock = { now: 0 };
+    const quotas = createQuotas({ sms: { perPhone: 1, perIp: 0 } }, clock);
+    assert.strictEqual(await quotas.take('sms', { phoneNumber: '+1', ip: '10.0.0.1' }), true);
+    assert.strictEqual(await quotas.take('sms', { phoneNumber: '+1', ip: '10.0.0.1' }), false);
+    clock.now = 1000;
+    assert.strictEqual(await quotas.take('sms', { phoneNumber: '+1', ip: '10.0.0.1' }), true);
+    assert.strictEqual(await quotas.take('ai', { phoneNumber: '+1' }), true, 'no limits configured');
+});
+
+test('a concurrent burst cannot get past the limit', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const quotas = createQuotas({ ai: { perPhone: 3 } });
+    const results = await Promise.all(Array.from({ length: 10 }, () => quotas.take('ai', { phoneNumber: '+1' })));
+    assert.strictEqual(results.filter(Boolean).length, 3);
+});
+
+test('the file store counts concurrent increments from separate store instances', async t => {
+    const fs = require('node:fs');
+    const os = require('node:os');
+    const path = require('node:path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ussd-quotas-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    // Two stores over one directory stand in for two instances
+    const stores = [0, 1].map(() => createStore({ driver: 'file', namespace: 'quotas', dir }));
+    t.after(() => stores.forEach(store => store.close()));
+
+    const values = await Promise.all(Array.from({ length: 10 }, (_, index) => stores[index % 2].increment('ai:phone:+1:0', { ttlMs: 1000 })));
+    assert.deepStrictEqual(values.sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'quotas')).filter(name => name.endsWith('.lock')), []);
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const net = require('node:net');
+const { createStore } = require('../lib/stores');
+const { parseReply } = require('../lib/stores/redis');
+const { createSessionStore, isValidSessionId } = require('../lib/sessionStore');
+const { createFakeClock } = require('../lib/simulator/fakes');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ussd-sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Minimal Redis stand-in: understands the commands the store sends (GET, SET with PX and NX, DEL, INCRBY, PEXPIRE)
+async function startFakeRedis(t) {
+    const data = new Map();
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let request;
+            while (buffer.length && (request = parseReply(buffer))) {
+                buffer = buffer.subarray(request.offset);
+                const [name, key, value, , ttl] = request.value;
+                if (name === 'GET') {
+                    const entry = data.get(key);
+                    socket.write(entry ? `$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n` : '$-1\r\n');
+                } else if (name === 'SET') {
+                    if (request.value.includes('NX') && data.has(key)) {
+                        socket.write('$-1\r\n');
+                        continue;
+                    }
+                    data.set(key, { value, ttl: ttl !== 'NX' ? ttl && Number(ttl) : undefined });
+                    socket.write('+OK\r\n');
+                } else if (name === 'INCRBY') {
+                    const entry = data.get(key) || { value: '0', ttl: undefined };
+                    entry.value = String(Number(entry.value) + Number(value));
+                    data.set(key, entry);
+                    socket.write(`:${entry.value}\r\n`);
+                } else if (name === 'PEXPIRE') {
+                    data.get(key).ttl = Number(value);
+                    socket.write(':1\r\n');
+                } else if (name === 'DEL') {
+                    socket.write(`:${data.delete(key) ? 1 : 0}\r\n`);
+                } else {
+                    socket.write(`-ERR unknown command '${name}'\r\n`);
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { data, url: `redis://127.0.0.1:${server.address().port}` };
+}
+
+test('rejects session ids that are not gateway-shaped', () => {
+    assert.strictEqual(isValidSessionId('ATUid_0f8e7d6c5b4a'), true);
+    assert.strictEqual(isValidSessionId('../../etc/passwd'), false);
+    assert.strictEqual(isValidSessionId(''), false);
+    assert.strictEqual(isValidSessionId(undefined), false);
+    assert.strictEqual(isValidSessionId('x'.repeat(129)), false);
+});
+
+test('an abandoned session expires after the gateway times out', async (t) => {
+    const clock = createFakeClock();
+    const store = createStore({ driver: 'memory', now: clock.now });
+    t.after(() => store.close());
+    const sessions = createSessionStore({ store, ttlMs: 180 * 1000 });
+
+    await sessions.save('ATUid_1', { flow: 'symptoms_input', data: {}, history: ['menu'] });
+    clock.time += 120 * 1000;
+    assert.strictEqual((await sessions.load('ATUid_1')).flow, 'symptoms_input');
+
+    // Saving again slides the expiry forward
+    await sessions.save('ATUid_1', { flow: 'symptoms_input', data: {}, history: ['menu'] });
+    clock.time += 120 * 1000;
+    assert.ok(await sessions.load('ATUid_1'));
+
+    clock.time += 181 * 1000;
+    assert.strictEqual(await sessions.load('ATUid_1'), null);
+});
+
+test('the memory sweep drops expired sessions nobody reads again', async (t) => {
+    const clock = createFakeClock();
+    const store = createStore({ driver: 'memory', now: clock.now });
+    t.after(() => store.close());
+
+    await store.set('ATUid_2', { flow: 'menu' }, { ttlMs: 1000 });
+    clock.time += 2000;
+    store.sweep();
+    clock.time = 0; // rewind so a lazy expiry check on read can't be what removed it
+    assert.strictEqual(await store.get('ATUid_2'), null);
+});
+
+test('a file-backed session survives a mid-dialog process restart', async (t) => {
+    const dir = tempDir(t);
+    const before = createStore({ driver: 'file', namespace: 'sessions', dir });
+    await createSessionStore({ store: before }).save('ATUid_3', { flow: 'zones_risk_level_selection', data: {}, history: ['menu'] });
+    await before.close();
+
+    // A fresh store over the same directory stands in for the restarted process
+    const after = createStore({ driver: 'file', namespace: 'sessions', dir });
+    t.after(() => after.close());
+    const session = await createSessionStore({ store: after }).load('ATUid_3');
+    assert.deepStrictEqual(session, { flow: 'zones_risk_level_selection', data: {}, history: ['menu'] });
+});
+
+test('the file store expires sessions and sweeps their files', async (t) => {
+    const dir = tempDir(t);
+    const clock = createFakeClock();
+    const store = createStore({ driver: 'file', namespace: 'sessions', dir, now: clock.now });
+    t.after(() => store.close());
+    const sessions = createSessionStore({ store, ttlMs: 1000 });
+
+    await sessions.save('ATUid_4', { flow: 'menu', data: {} });
+    await sessions.save('ATUid_5', { flow: 'menu', data: {} });
+    clock.time += 2000;
+
+    assert.strictEqual(await sessions.load('ATUid_4'), null);
+    await store.sweep();
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'sessions')), []);
+});
+
+test('the file store never writes outside its directory', async (t) => {
+    const dir = tempDir(t);
+    const store = createStore({ driver: 'file', namespace: 'sessions', dir });
+    t.after(() => store.close());
+
+    await store.set('../../escape', { flow: 'menu' });
+    const files = fs.readdirSync(path.join(dir, 'sessions'));
+    assert.strictEqual(files.length, 1);
+    assert.match(files[0], /^[0-9a-f]{64}\.json$/);
+    assert.deepStrictEqual(await store.get('../../escape'), { flow: 'menu' });
+});
+
+test('the redis store keeps sessions on the server with a TTL', async (t) => {
+    const redis = await startFakeRedis(t);
+    const store = createStore({ driver: 'redis', namespace: 'sessions', redisUrl: redis.url });
+    t.after(() => store.close());
+    const sessions = createSessionStore({ store, ttlMs: 180 * 1000 });
+
+    await sessions.save('ATUid_6', { flow: 'health_tips_menu', data: {}, history: ['menu'] });
+    assert.strictEqual(redis.data.get('mapazzz:sessions:ATUid_6').ttl, 180 * 1000);
+    assert.strictEqual((await sessions.load('ATUid_6')).flow, 'health_tips_menu');
+
+    await sessions.destroy('ATUid_6');
+    assert.strictEqual(await sessions.load('ATUid_6'), null);
+});
+
+test('the redis store increments counters on the server', async (t) => {
+    const redis = await startFakeRedis(t);
+    const store = createStore({ driver: 'redis', namespace: 'quotas', redisUrl: redis.url });
+    t.after(() => store.close());
+
+    assert.strictEqual(await store.increment('ai:phone:+1:0', { ttlMs: 1000 }), 1);
+    assert.strictEqual(await store.increment('ai:phone:+1:0', { ttlMs: 1000 }), 2);
+    assert.strictEqual(await store.increment('ai:phone:+1:0', { by: -1 }), 1);
+    assert.strictEqual(await store.get('ai:phone:+1:0'), 1);
+    assert.strictEqual(redis.data.get('mapazzz:quotas:ai:phone:+1:0').ttl, 1000);
+});
+
+test('add() only sets keys that are free, in every driver', async (t) => {
+    const redis = await startFakeRedis(t);
+    const clock = createFakeClock();
+    const stores = {
+        memory: createStore({ driver: 'memory', namespace: 'leases', now: clock.now }),
+        file: createStore({ driver: 'file', namespace: 'leases', dir: tempDir(t), now: clock.now }),
+        redis: createStore({ driver: 'redis', namespace: 'leases', redisUrl: redis.url })
+    };
+    t.after(() => Object.values(stores).forEach(store => store.close()));
+
+    for (const [driver, store] of Object.entries(stores)) {
+        const results = await Promise.all([1, 2, 3].map(n => store.add('lease:1', { n }, { ttlMs: 1000 })));
+        assert.deepStrictEqual(results.filter(Boolean).length, 1, driver);
+        assert.strictEqual(await store.add('lease:1', { n: 4 }), false, driver);
+    }
+    assert.strictEqual(redis.data.get('mapazzz:leases:lease:1').ttl, 1000);
+
+    clock.time += 1000;
+    assert.strictEqual(await stores.memory.add('lease:1', { n: 5 }), true, 'an expired lease is free again');
+    assert.strictEqual(await stores.file.add('lease:1', { n: 5 }), true, 'an expired lease is free again');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/stores');
+const { createMetrics } = require('../lib/metrics');
+const { createSmsService } = require('../lib/sms');
+const { createFakeSmsProvider, createFakeClock } = require('../lib/simulator/fakes');
+const { startApp } = require('../lib/simulator/harness');
+
+const PHONE = '+244923000001';
+
+// A provider whose send() fails with the scripted errors first
+function createFlakyProvider(errors = []) {
+    const provider = createFakeSmsProvider();
+    const send = provider.send;
+    provider.attempts = 0;
+    provider.send = async message => {
+        provider.attempts++;
+        const error = errors.shift();
+        if (error) throw error;
+        return send(message);
+    };
+    return provider;
+}
+
+function createService(provider, clock) {
+    const metrics = createMetrics();
+    const sms = createSmsService({
+        provider,
+        queueStore: createStore({ driver: 'memory', namespace: 'sms_outbox', now: clock.now }),
+        messageStore: createStore({ driver: 'memory', namespace: 'sms_messages', now: clock.now }),
+        baseDelayMs: 1000,
+        now: clock.now,
+        metrics
+    });
+    return { sms, metrics };
+}
+
+// queueSms() flushes in the background; this waits for that pass
+async function queueAndFlush(sms, to, body) {
+    const result = await sms.queueSms(to, body);
+    await new Promise(resolve => setImmediate(resolve));
+    await sms.flush();
+    return result;
+}
+
+test('retries a transient provider error with backoff, then sends', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const clock = createFakeClock();
+    const provider = createFlakyProvider([new Error('Provider timed out.')]);
+    const { sms, metrics } = createService(provider, clock);
+
+    const { id } = await queueAndFlush(sms, PHONE, 'Olá');
+    assert.strictEqual((await sms.getMessage(id)).status, 'queued');
+    assert.deepStrictEqual(await sms.flush(), { delivered: 0, failed: 0, pending: 1 }, 'not due yet');
+
+    clock.time += 1000;
+    assert.deepStrictEqual(await sms.flush(), { delivered: 1, failed: 0, pending: 0 });
+    const record = await sms.getMessage(id);
+    assert.strictEqual(record.status, 'sent');
+    assert.strictEqual(record.providerMessageId, 'fake-1');
+    assert.deepStrictEqual(record.history.map(entry => entry.status), ['queued', 'sent']);
+    assert.match(metrics.render(), /sms_provider_requests_total\{provider="fake",outcome="retry"\} 1/);
+    assert.match(metrics.render(), /sms_provider_requests_total\{provider="fake",outcome="sent"\} 1/);
+});
+
+test('fails a message at once on a permanent provider error', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const clock = createFakeClock();
+    const error = Object.assign(new Error('Invalid To number.'), { permanent: true });
+    const provider = createFlakyProvider([error]);
+    const { sms } = createService(provider, clock);
+
+    const { id } = await queueAndFlush(sms, PHONE, 'Olá');
+    const record = await sms.getMessage(id);
+    assert.strictEqual(record.status, 'failed');
+    assert.strictEqual(record.history[1].error, 'Invalid To number.');
+
+    clock.time += 60 * 60 * 1000;
+    await sms.flush();
+    assert.strictEqual(provider.attempts, 1, 'not retried');
+});
+
+test('keeps the latest status when delivery reports arrive out of order', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const clock = createFakeClock();
+    const { sms } = createService(createFakeSmsProvider(), clock);
+    const { id } = await queueAndFlush(sms, PHONE, 'Olá');
+
+    clock.time += 10;
+    assert.strictEqual((await sms.recordStatus({ providerMessageId: 'fake-1', status: 'delivered' })).status, 'delivered');
+    clock.time += 10;
+    assert.strictEqual((await sms.recordStatus({ providerMessageId: 'fake-1', status: 'sent' })).status, 'delivered', 'a late "sent" is ignored');
+    assert.deepStrictEqual((await sms.getMessage(id)).history.map(entry => entry.status), ['queued', 'sent', 'delivered']);
+    assert.strictEqual(await sms.recordStatus({ providerMessageId: 'unknown', status: 'delivered' }), null);
+});
+
+test('records delivery reports posted to /sms/status/:provider', async t => {
+    const { baseUrl, sms } = await startApp(t, { env: { SMS_WEBHOOK_TOKEN: 'tok' }, smsProvider: createFakeSmsProvider() });
+    const post = (path, body) => fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const { id } = await queueAndFlush(sms, PHONE, 'Olá');
+    assert.strictEqual((await post('/sms/status/twilio?token=tok', { id: 'fake-1', status: 'delivered' })).status, 404);
+    assert.strictEqual((await post('/sms/status/fake?token=tok', { id: 'fake-1', status: 'delivered' })).status, 204);
+    assert.strictEqual((await sms.getMessage(id)).status, 'delivered');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TRIAGE_QUESTIONS, nextQuestion, scoreTriage, parseAiAssessment, assessTriage } = require('../lib/triage');
+
+test('skips questions that do not apply', () => {
+    assert.strictEqual(nextQuestion({ fever: true }, 'fever').id, 'feverDays');
+    assert.strictEqual(nextQuestion({ fever: false }, 'fever').id, 'chills');
+    assert.strictEqual(nextQuestion({ childUnder5: true }, 'childUnder5').id, 'recentTravel');
+    assert.strictEqual(nextQuestion({}, TRIAGE_QUESTIONS[TRIAGE_QUESTIONS.length - 1].id), null);
+});
+
+test('rule-based score rises with malaria symptoms and stays low without fever', () => {
+    const classic = scoreTriage({ fever: true, feverDays: 3, chills: true, headache: true, vomiting: true, recentTravel: true });
+    const noFever = scoreTriage({ fever: false, chills: true, headache: true, vomiting: true, recentTravel: true });
+    assert.strictEqual(classic.probability, 95);
+    assert.ok(noFever.probability <= 25);
+    assert.strictEqual(scoreTriage({ dangerSigns: true }).dangerSign, true);
+    assert.strictEqual(scoreTriage({ pregnant: true }).highRiskGroup, true);
+});
+
+test('accepts only AI output that matches the schema', () => {
+    assert.deepStrictEqual(parseAiAssessment('{"probability": 70, "dangerSign": false}'), { probability: 70, dangerSign: false });
+    assert.deepStrictEqual(parseAiAssessment('```json\n{"probability": 5, "dangerSign": true}\n```'), { probability: 5, dangerSign: true });
+    assert.strictEqual(parseAiAssessment('70% (sintomas clássicos)'), null);
+    assert.strictEqual(parseAiAssessment('{"probability": 170, "dangerSign": false}'), null);
+    assert.strictEqual(parseAiAssessment('{"probability": 70, "dangerSign": "no"}'), null);
+});
+
+test('falls back to the rules when the AI fails or answers badly', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const answers = { fever: true, feverDays: 1, chills: true };
+    const rules = scoreTriage(answers);
+    assert.deepStrictEqual(await assessTriage(answers, { askAi: async () => 'not json' }), rules);
+    assert.deepStrictEqual(await assessTriage(answers, { askAi: async () => { throw new Error('quota'); } }), rules);
+    assert.deepStrictEqual(await assessTriage(answers), rules);
+});
+
+test('the AI cannot clear a danger sign reported by the caller', async () => {
+    const assessment = await assessTriage({ dangerSigns: true, fever: true }, {
+        askAi: async () => '{"probability": 10, "dangerSign": false}'
+    });
+    assert.strictEqual(assessment.source, 'ai');
+    assert.strictEqual(assessment.dangerSign, true);
+});